@@ -0,0 +1,157 @@
+/**
+ * Age Gate - Confirmação de maioridade para produtos alcoólicos
+ *
+ * Abre na primeira vez que um produto da coleção configurada é visto ou adicionado.
+ * A resposta fica no localStorage até expirar e a confirmação (com data e hora) é gravada
+ * no atributo do carrinho usado pela regra age_verification, que bloqueia o checkout sem ela.
+ */
+class AgeGate extends ModalDialog {
+  static STORAGE_KEY = 'cart-rules:age-gate';
+
+  constructor() {
+    super();
+    this.pendingAnswer = null;
+    this.querySelector('.age-gate__confirm').addEventListener('click', this.onConfirm.bind(this));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (window.ageGate) return;
+
+    window.ageGate = this;
+    window.cartStore.subscribe(this.syncCartAttribute.bind(this));
+    this.checkCurrentProduct();
+  }
+
+  get rule() {
+    return window.cartRulesValidator && window.cartRulesValidator.engine.getRule('age-verification');
+  }
+
+  /**
+   * @returns {Object|null} - { confirmedAt, expiresAt } se a confirmação salva ainda é válida
+   */
+  get confirmation() {
+    try {
+      const confirmation = JSON.parse(localStorage.getItem(AgeGate.STORAGE_KEY));
+      return confirmation && confirmation.expiresAt > Date.now() ? confirmation : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string|number} productId
+   * @returns {boolean} - true se o produto é da coleção restrita e ainda não há confirmação
+   */
+  requiresConfirmation(productId) {
+    const rule = this.rule;
+    if (!rule || !productId || this.confirmation) return false;
+
+    const validator = window.cartRulesValidator;
+    if (!validator.productMeta[productId]) validator.readProductMeta(document);
+    return validator.engine.getCategories({}, validator.productMeta[productId]).has(rule.category);
+  }
+
+  /**
+   * Pede a confirmação antes de adicionar um produto, se necessário
+   * @param {string|number} productId
+   * @param {HTMLElement} [opener] - Elemento que recebe o foco ao fechar
+   * @returns {Promise<boolean>} - true se o produto pode ser adicionado
+   */
+  confirmFor(productId, opener) {
+    if (!this.requiresConfirmation(productId)) return Promise.resolve(true);
+    return this.open(opener);
+  }
+
+  /**
+   * @param {HTMLElement} [opener]
+   * @returns {Promise<boolean>} - Resposta do cliente
+   */
+  open(opener = document.activeElement) {
+    if (this.pendingAnswer) this.pendingAnswer(false);
+    this.show(opener);
+
+    return new Promise((resolve) => {
+      this.pendingAnswer = resolve;
+    });
+  }
+
+  hide() {
+    super.hide();
+    this.answer(false);
+  }
+
+  answer(confirmed) {
+    if (!this.pendingAnswer) return;
+    this.pendingAnswer(confirmed);
+    this.pendingAnswer = null;
+  }
+
+  onConfirm() {
+    const confirmation = {
+      confirmedAt: new Date().toISOString(),
+      expiresAt: Date.now() + this.rule.expiryDays * 24 * 60 * 60 * 1000,
+    };
+    try {
+      localStorage.setItem(AgeGate.STORAGE_KEY, JSON.stringify(confirmation));
+    } catch (error) {
+      window.cartRulesDebug.log('Erro ao salvar a confirmação de idade:', error);
+    }
+
+    this.answer(true);
+    super.hide();
+    this.saveToCart(confirmation.confirmedAt);
+  }
+
+  /**
+   * Grava a confirmação no carrinho e publica o carrinho atualizado para revalidar as regras
+   * @param {string} confirmedAt - Data e hora da confirmação (ISO 8601)
+   * @returns {Promise}
+   */
+  saveToCart(confirmedAt) {
+    const body = JSON.stringify({ attributes: { [this.rule.attribute]: confirmedAt } });
+
+    return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((cart) => publish(PUB_SUB_EVENTS.cartUpdate, { source: 'age-gate', cartData: cart }))
+      .catch((error) => window.cartRulesDebug.log('Erro ao salvar a confirmação de idade no carrinho:', error));
+  }
+
+  /**
+   * Um carrinho novo não tem o atributo: grava de novo a confirmação que ainda está válida
+   * @param {Object} cart
+   */
+  syncCartAttribute(cart) {
+    const rule = this.rule;
+    const confirmation = this.confirmation;
+    if (!rule || !confirmation || cart.item_count === 0 || (cart.attributes || {})[rule.attribute]) return;
+    if (this.syncing) return;
+
+    this.syncing = true;
+    this.saveToCart(confirmation.confirmedAt).finally(() => {
+      this.syncing = false;
+    });
+  }
+
+  /**
+   * Abre o modal ao ver a página de um produto restrito
+   */
+  checkCurrentProduct() {
+    const productInfo = document.querySelector('product-info[data-product-id]');
+    if (productInfo && this.requiresConfirmation(productInfo.dataset.productId)) this.open();
+  }
+
+  /**
+   * @returns {HTMLElement} - Botão que abre o modal, usado na mensagem de erro do carrinho
+   */
+  createOpener() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('link', 'age-gate-opener');
+    button.textContent = this.dataset.openerText;
+    button.addEventListener('click', () => this.open(button));
+    return button;
+  }
+}
+
+customElements.define('age-gate', AgeGate);
@@ -0,0 +1,515 @@
+/**
+ * Cart Rules Core - Avaliação pura das regras do carrinho
+ *
+ * Não acessa DOM nem rede: recebe o carrinho, os dados dos produtos e as regras e devolve
+ * as violações. Carregado antes de cart-rules.js no navegador e via require() no Node.
+ */
+
+const CART_RULE_TYPES = {
+  minimumSubtotal: 'minimum_subtotal',
+  categoryRequires: 'category_requires',
+  maxQuantity: 'max_quantity',
+  deliveryZone: 'delivery_zone',
+  deliverySlot: 'delivery_slot',
+  ageVerification: 'age_verification',
+  ratio: 'ratio',
+};
+
+/**
+ * Normaliza um texto no formato de handle do Shopify ("Kit Churrasco" -> "kit-churrasco")
+ * @param {string} value
+ * @returns {string}
+ */
+function handleizeCategory(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+class CartRulesEngine {
+  /**
+   * As regras vêm das configurações do tema (window.cartRules, em theme.liquid).
+   * Formato de cada regra:
+   * - minimum_subtotal: { id, type, amount (centavos), message }
+   * - category_requires: { id, type, category, requires: [categorias], message }
+   * - max_quantity: { id, type, category | product (handle), label, max, message }
+   * - ratio: { id, type, category, label, max, per, perLabel, every, message }
+   *   Até `max` unidades de `category` a cada `every` unidades de `per` (ex.: 12 garrafas por kit).
+   * - delivery_zone: { id, type, attribute, zones: [{ from, to, name, minimum, note }], rate, message, unavailableMessage }
+   *   O CEP vem do atributo do carrinho `attribute`; o mínimo da zona substitui o minimum_subtotal.
+   * - age_verification: { id, type, category, attribute, expiryDays, message }
+   * - delivery_slot: { id, type, dateAttribute, slotAttribute, leadTimeHours, cutoffHour, daysAhead, utcOffset,
+   *   closedWeekdays, holidays, slots: ["10:00-12:00"], message }
+   *   utcOffset é o fuso da loja ("-0300").
+   * @param {Array<Object>} rules - Lista de regras declarativas
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Avalia todas as regras contra o carrinho
+   * @param {Object} cart - Carrinho no formato de /cart.js
+   * @param {Object} productMeta - Mapa product_id -> { handle, type, tags, collections }, renderizado pelo servidor
+   * @param {Date} now - Momento da avaliação, usado pelas regras de agendamento
+   * @returns {Array<Object>} - Violações: { ruleId, type, message, lineItems, missingAmount }
+   */
+  evaluate(cart, productMeta = {}, now = new Date()) {
+    const context = this.buildContext(cart, productMeta, now);
+    return this.rules.map((rule) => this.evaluateRule(rule, context)).filter(Boolean);
+  }
+
+  /**
+   * Mesma avaliação de evaluate, detalhando os dados usados por cada regra (painel ?cart_debug=1)
+   * @param {Object} cart
+   * @param {Object} productMeta
+   * @param {Date} now
+   * @returns {Object} - { items: [{ key, productId, handle, categories }], rules: [{ ruleId, type, passed, message, data }] }
+   */
+  trace(cart, productMeta = {}, now = new Date()) {
+    const context = this.buildContext(cart, productMeta, now);
+
+    return {
+      items: context.items.map(({ item, handle, categories }) => ({
+        key: item.key,
+        productId: item.product_id,
+        handle,
+        hasData: Boolean(productMeta[item.product_id]),
+        categories: [...categories],
+      })),
+      rules: this.rules.map((rule) => {
+        const violation = this.evaluateRule(rule, context);
+        return {
+          ruleId: rule.id,
+          type: rule.type,
+          passed: !violation,
+          message: violation ? violation.message : null,
+          data: this.describeRuleData(rule, context),
+        };
+      }),
+    };
+  }
+
+  /**
+   * @param {Object} cart
+   * @param {Object} productMeta
+   * @param {Date} now
+   * @returns {Object} - Contexto de avaliação: subtotal, atributos, zona e itens com suas categorias
+   */
+  buildContext(cart, productMeta, now) {
+    const items = (cart && cart.items) || [];
+    return {
+      now,
+      attributes: (cart && cart.attributes) || {},
+      subtotal: (cart && cart.total_price) || 0,
+      zone: this.getCartDeliveryZone(cart),
+      items: items.map((item) => this.describeItem(item, productMeta)),
+    };
+  }
+
+  /**
+   * Avalia uma regra isolada
+   * @param {Object} rule
+   * @param {Object} context - Subtotal e itens com suas categorias já resolvidas
+   * @returns {Object|null} - Violação ou null se a regra passou
+   */
+  evaluateRule(rule, context) {
+    switch (rule.type) {
+      case CART_RULE_TYPES.minimumSubtotal: {
+        if (context.zone) return null;
+        if (context.items.length === 0 || context.subtotal >= rule.amount) return null;
+        return this.buildViolation(rule, [], rule.amount - context.subtotal);
+      }
+      case CART_RULE_TYPES.categoryRequires: {
+        const restricted = context.items.filter(({ categories }) => categories.has(rule.category));
+        if (restricted.length === 0) return null;
+
+        const hasRequired = context.items.some(({ categories }) =>
+          rule.requires.some((category) => categories.has(category))
+        );
+        if (hasRequired) return null;
+        return this.buildViolation(
+          rule,
+          restricted.map(({ item }) => item.key),
+          null
+        );
+      }
+      case CART_RULE_TYPES.ratio: {
+        const restricted = context.items.filter(({ categories }) => categories.has(rule.category));
+        const { over, needed } = this.getRatioCounts(rule, context);
+        if (over === 0 || this.getCoveringRule(rule, context)) return null;
+        return {
+          ...this.buildViolation(
+            rule,
+            restricted.map(({ item }) => item.key),
+            null
+          ),
+          overQuantity: over,
+          missingQuantity: needed,
+        };
+      }
+      case CART_RULE_TYPES.maxQuantity: {
+        const matching = context.items.filter((described) => this.matchesQuantityRule(rule, described));
+        const quantity = matching.reduce((total, { item }) => total + item.quantity, 0);
+        if (quantity <= rule.max) return null;
+        return this.buildViolation(
+          rule,
+          matching.map(({ item }) => item.key),
+          null
+        );
+      }
+      case CART_RULE_TYPES.deliveryZone: {
+        if (!context.zone || context.items.length === 0) return null;
+        if (context.zone.minimum === null) {
+          return { ...this.buildViolation(rule, [], null), message: rule.unavailableMessage };
+        }
+        if (context.subtotal >= context.zone.minimum) return null;
+        return this.buildViolation(rule, [], context.zone.minimum - context.subtotal);
+      }
+      case CART_RULE_TYPES.ageVerification: {
+        const restricted = context.items.filter(({ categories }) => categories.has(rule.category));
+        if (restricted.length === 0 || context.attributes[rule.attribute]) return null;
+        return this.buildViolation(
+          rule,
+          restricted.map(({ item }) => item.key),
+          null
+        );
+      }
+      case CART_RULE_TYPES.deliverySlot: {
+        if (context.items.length === 0) return null;
+
+        const date = context.attributes[rule.dateAttribute];
+        const slot = context.attributes[rule.slotAttribute];
+        const available = this.getDeliveryDates(rule, context.now).some(
+          (day) => day.date === date && day.slots.some(({ label }) => label === slot)
+        );
+        return available ? null : this.buildViolation(rule, [], null);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Contagens ponderadas pela quantidade de cada linha para uma regra ratio
+   * @param {Object} rule - Regra ratio
+   * @param {Object} context - Contexto de buildContext
+   * @returns {Object} - { quantity, companions, allowed, over, needed }: unidades restritas, unidades da
+   *   categoria acompanhante, unidades restritas permitidas, excedentes e acompanhantes que faltam
+   */
+  getRatioCounts(rule, context) {
+    const countIn = (category) =>
+      context.items
+        .filter(({ categories }) => categories.has(category))
+        .reduce((total, { item }) => total + item.quantity, 0);
+
+    const every = rule.every || 1;
+    const quantity = countIn(rule.category);
+    const companions = countIn(rule.per);
+    const allowed = Math.floor(companions / every) * rule.max;
+
+    return {
+      quantity,
+      companions,
+      allowed,
+      over: Math.max(quantity - allowed, 0),
+      needed: Math.max(Math.ceil(quantity / rule.max) * every - companions, 0),
+    };
+  }
+
+  /**
+   * Regra category_requires já violada pelo mesmo par de categorias de uma regra ratio sem nenhum
+   * acompanhante no carrinho; nesse caso só ela é mostrada, sem mensagem e sugestões repetidas
+   * @param {Object} rule - Regra ratio
+   * @param {Object} context - Contexto de buildContext
+   * @returns {Object|null}
+   */
+  getCoveringRule(rule, context) {
+    if (this.getRatioCounts(rule, context).companions > 0) return null;
+
+    return (
+      this.rules.find(
+        (other) =>
+          other.type === CART_RULE_TYPES.categoryRequires &&
+          other.category === rule.category &&
+          other.requires.includes(rule.per) &&
+          this.evaluateRule(other, context)
+      ) || null
+    );
+  }
+
+  /**
+   * Categorias que resolvem uma regra category_requires ou ratio quando adicionadas ao carrinho
+   * @param {Object} rule
+   * @returns {Array<string>}
+   */
+  getCompanionCategories(rule) {
+    if (rule.type === CART_RULE_TYPES.categoryRequires) return rule.requires || [];
+    if (rule.type === CART_RULE_TYPES.ratio) return [rule.per];
+    return [];
+  }
+
+  /**
+   * Dados que levaram uma regra a passar ou falhar
+   * @param {Object} rule
+   * @param {Object} context - Contexto de buildContext
+   * @returns {Object}
+   */
+  describeRuleData(rule, context) {
+    const handlesIn = (category) =>
+      context.items.filter(({ categories }) => categories.has(category)).map(({ handle }) => handle);
+
+    switch (rule.type) {
+      case CART_RULE_TYPES.minimumSubtotal:
+        return { subtotal: context.subtotal, amount: rule.amount, replacedByZone: Boolean(context.zone) };
+      case CART_RULE_TYPES.categoryRequires:
+        return {
+          category: rule.category,
+          matched: handlesIn(rule.category),
+          requires: Object.fromEntries(rule.requires.map((category) => [category, handlesIn(category)])),
+        };
+      case CART_RULE_TYPES.ratio:
+        return {
+          category: rule.category,
+          per: rule.per,
+          max: rule.max,
+          every: rule.every || 1,
+          matched: handlesIn(rule.category),
+          companionsMatched: handlesIn(rule.per),
+          ...this.getRatioCounts(rule, context),
+          coveredBy: (this.getCoveringRule(rule, context) || {}).id || null,
+        };
+      case CART_RULE_TYPES.maxQuantity: {
+        const matching = context.items.filter((described) => this.matchesQuantityRule(rule, described));
+        return {
+          target: rule.product ? `product:${rule.product}` : `category:${rule.category}`,
+          max: rule.max,
+          quantity: matching.reduce((total, { item }) => total + item.quantity, 0),
+          matched: matching.map(({ handle }) => handle),
+        };
+      }
+      case CART_RULE_TYPES.deliveryZone:
+        return { cep: context.attributes[rule.attribute] || null, zone: context.zone, subtotal: context.subtotal };
+      case CART_RULE_TYPES.ageVerification:
+        return {
+          category: rule.category,
+          matched: handlesIn(rule.category),
+          confirmation: context.attributes[rule.attribute] || null,
+        };
+      case CART_RULE_TYPES.deliverySlot:
+        return {
+          date: context.attributes[rule.dateAttribute] || null,
+          slot: context.attributes[rule.slotAttribute] || null,
+          availableDates: this.getDeliveryDates(rule, context.now).map(({ date }) => date),
+        };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Datas e horários de entrega que ainda podem ser escolhidos, respeitando antecedência,
+   * horário de corte, dias fechados e feriados.
+   * Tudo é calculado no fuso da loja (rule.utcOffset), não no do navegador: os campos UTC de `local`
+   * guardam a data e a hora da loja.
+   * @param {Object} rule - Regra delivery_slot
+   * @param {Date} now
+   * @returns {Array<Object>} - [{ date: 'AAAA-MM-DD', slots: [{ label, hours, minutes }] }]
+   */
+  getDeliveryDates(rule, now = new Date()) {
+    const local = new Date(now.getTime() + this.getUtcOffset(rule, now) * 60 * 1000);
+    const start = new Date(local);
+    if (local.getUTCHours() >= rule.cutoffHour) {
+      start.setUTCDate(start.getUTCDate() + 1);
+      start.setUTCHours(0, 0, 0, 0);
+    }
+    const earliest = start.getTime() + rule.leadTimeHours * 60 * 60 * 1000;
+
+    const closedWeekdays = rule.closedWeekdays.map((weekday) => parseInt(weekday)).filter((weekday) => !isNaN(weekday));
+    const holidays = rule.holidays.map((holiday) => holiday.trim());
+    const slots = rule.slots.map((line) => this.parseDeliverySlot(line)).filter(Boolean);
+    const dates = [];
+
+    for (let offset = 0; offset <= rule.daysAhead; offset++) {
+      const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + offset));
+      const date = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()]
+        .map((part) => String(part).padStart(2, '0'))
+        .join('-');
+      if (closedWeekdays.includes(day.getUTCDay()) || holidays.includes(date)) continue;
+
+      const availableSlots = slots.filter(({ hours, minutes }) => {
+        const startsAt = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+        return startsAt >= earliest;
+      });
+      if (availableSlots.length > 0) dates.push({ date, slots: availableSlots });
+    }
+
+    return dates;
+  }
+
+  /**
+   * @param {Object} rule - Regra delivery_slot
+   * @param {Date} now
+   * @returns {number} - Diferença em minutos entre o fuso da loja e UTC; sem utcOffset, usa o do navegador
+   */
+  getUtcOffset(rule, now) {
+    const match = String(rule.utcOffset || '').match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (!match) return -now.getTimezoneOffset();
+
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * @param {string} line - Linha da configuração, ex.: "10:00-12:00". O que vier depois de "|" (a antiga
+   *   coluna de capacidade, que nunca foi aplicada) é ignorado.
+   * @returns {Object|null} - { label, hours, minutes }
+   */
+  parseDeliverySlot(line) {
+    const label = String(line).split('|')[0].trim();
+    const start = label.match(/^(\d{1,2}):(\d{2})/);
+    if (!start) return null;
+
+    return { label, hours: parseInt(start[1]), minutes: parseInt(start[2]) };
+  }
+
+  /**
+   * Zona de entrega de um CEP
+   * @param {string} cep - CEP em qualquer formato ("23970-000" ou "23970000")
+   * @returns {Object|null} - { name, minimum (centavos na moeda ativa ou null se não há entrega), note };
+   *   null quando não há regra de zonas ou o CEP está incompleto. CEPs fora das zonas não têm entrega.
+   */
+  getDeliveryZone(cep) {
+    const rule = this.rules.find((rule) => rule.type === CART_RULE_TYPES.deliveryZone);
+    const digits = String(cep || '').replace(/\D/g, '');
+    if (!rule || digits.length !== 8) return null;
+
+    const zone = rule.zones.find(
+      ({ from, to }) => digits >= from.replace(/\D/g, '') && digits <= to.replace(/\D/g, '')
+    );
+    if (!zone) return { name: null, minimum: null, note: '' };
+    if (zone.minimum === null) return zone;
+
+    return { ...zone, minimum: Math.round(zone.minimum * (rule.rate || 1)) };
+  }
+
+  /**
+   * @param {Object} cart
+   * @returns {Object|null} - Zona do CEP salvo nos atributos do carrinho
+   */
+  getCartDeliveryZone(cart) {
+    const rule = this.rules.find((rule) => rule.type === CART_RULE_TYPES.deliveryZone);
+    if (!rule || !cart) return null;
+
+    return this.getDeliveryZone((cart.attributes || {})[rule.attribute]);
+  }
+
+  /**
+   * Valor mínimo em vigor para o carrinho: o da zona de entrega, se houver, ou o da regra minimum_subtotal
+   * @param {Object} cart
+   * @returns {number|null} - Centavos na moeda ativa; null se não há mínimo (ou não há entrega)
+   */
+  getMinimumAmount(cart) {
+    const zone = this.getCartDeliveryZone(cart);
+    if (zone) return zone.minimum;
+
+    const rule = this.rules.find((rule) => rule.type === CART_RULE_TYPES.minimumSubtotal);
+    return rule ? rule.amount : null;
+  }
+
+  /**
+   * @param {Object} item - Item do carrinho
+   * @param {Object} productMeta
+   * @returns {Object} - { item, handle, categories }
+   */
+  describeItem(item, productMeta) {
+    const meta = productMeta[item.product_id];
+    return { item, handle: item.handle || (meta && meta.handle), categories: this.getCategories(item, meta) };
+  }
+
+  /**
+   * @param {Object} rule - Regra max_quantity
+   * @param {Object} described - Item descrito por describeItem
+   * @returns {boolean}
+   */
+  matchesQuantityRule(rule, { handle, categories }) {
+    return rule.product ? handle === rule.product : categories.has(rule.category);
+  }
+
+  /**
+   * Quantidade máxima que um produto pode ter no carrinho segundo as regras max_quantity
+   * @param {Object} cart - Carrinho atual
+   * @param {Object} productMeta
+   * @param {string|number} productId
+   * @param {Array<string>} excludedKeys - Linhas sendo editadas, cuja quantidade atual não conta como ocupada
+   * @returns {Object|null} - { max, rule } com o menor limite aplicável, ou null se nenhuma regra se aplica
+   */
+  getQuantityLimit(cart, productMeta, productId, excludedKeys = []) {
+    const product = this.describeItem({ product_id: parseInt(productId) }, productMeta);
+    const items = ((cart && cart.items) || []).map((item) => this.describeItem(item, productMeta));
+
+    return this.rules
+      .filter((rule) => rule.type === CART_RULE_TYPES.maxQuantity && this.matchesQuantityRule(rule, product))
+      .map((rule) => {
+        const taken = items
+          .filter(
+            (described) => !excludedKeys.includes(described.item.key) && this.matchesQuantityRule(rule, described)
+          )
+          .reduce((total, { item }) => total + item.quantity, 0);
+        return { rule, max: Math.max(rule.max - taken, 0) };
+      })
+      .reduce((lowest, limit) => (!lowest || limit.max < lowest.max ? limit : lowest), null);
+  }
+
+  getRule(ruleId) {
+    return this.rules.find((rule) => rule.id === ruleId);
+  }
+
+  buildViolation(rule, lineItems, missingAmount) {
+    return {
+      ruleId: rule.id,
+      type: rule.type,
+      message: rule.message,
+      lineItems,
+      missingAmount,
+    };
+  }
+
+  /**
+   * Resolve as categorias de um item do carrinho usando apenas o mapa de produtos
+   * @param {Object} item - Item do carrinho
+   * @param {Object} meta - Metadados do produto (pode não existir)
+   * @returns {Set<string>} - Handles das coleções, tags e tipo normalizados
+   */
+  getCategories(item, meta) {
+    const categories = new Set();
+    if (!meta) return categories;
+
+    const add = (value) => value && categories.add(handleizeCategory(value));
+    add(meta.type);
+    (meta.tags || []).forEach(add);
+    (meta.collections || []).forEach(add);
+    (meta.categories || []).forEach(add);
+
+    return categories;
+  }
+}
+
+/**
+ * Avalia as regras contra o carrinho
+ * @param {Object} cart - Carrinho no formato de /cart.js
+ * @param {Object} productMeta - Mapa product_id -> { handle, type, tags, collections, categories }
+ * @param {Array<Object>} rules - Regras no formato descrito em CartRulesEngine
+ * @param {Date} [now] - Momento da avaliação, usado pelas regras de agendamento
+ * @returns {Array<Object>} - Violações: { ruleId, type, message, lineItems, missingAmount }
+ */
+function evaluateCart(cart, productMeta, rules, now = new Date()) {
+  return new CartRulesEngine(rules).evaluate(cart, productMeta, now);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CART_RULE_TYPES, handleizeCategory, CartRulesEngine, evaluateCart };
+}
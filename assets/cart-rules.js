@@ -0,0 +1,1241 @@
+/**
+ * Cart Rules - Motor único de regras do carrinho
+ *
+ * Substitui CartMinimumValue, CartCategoryValidation, CartCategoryDetection e
+ * UnifiedCartValidator. As regras são declarativas, avaliadas numa única passagem
+ * pelo carrinho, e o resultado é uma lista estruturada de violações.
+ *
+ * Este é o único módulo que decide se o checkout está liberado. A avaliação das regras
+ * (CartRulesEngine) fica em cart-rules-core.js; aqui ficam a tela, a rede e o checkout.
+ */
+
+/**
+ * O que fazer quando o carrinho ou os dados dos produtos não carregam (setting cart_rules_failure_policy)
+ */
+const CART_RULES_FAILURE_POLICIES = {
+  open: 'open',
+  closed: 'closed',
+  retry: 'retry',
+};
+
+/**
+ * Registro das regras do carrinho. Fica em silêncio por padrão; com ?cart_debug=1 na URL
+ * (lembrado durante a sessão, ?cart_debug=0 desliga) ou no editor de temas, escreve no console
+ * e mostra um painel com cada regra avaliada, os dados usados e um trace em JSON para copiar.
+ */
+class CartRulesDebug {
+  static STORAGE_KEY = 'cart-rules:debug';
+  static MAX_ENTRIES = 50;
+
+  constructor() {
+    this.enabled = this.isEnabled();
+    this.entries = [];
+    this.trace = null;
+    this.panel = null;
+  }
+
+  isEnabled() {
+    try {
+      const flag = new URLSearchParams(window.location.search).get('cart_debug');
+      if (flag === '1') sessionStorage.setItem(CartRulesDebug.STORAGE_KEY, '1');
+      if (flag === '0') sessionStorage.removeItem(CartRulesDebug.STORAGE_KEY);
+      return Boolean(window.Shopify && Shopify.designMode) || sessionStorage.getItem(CartRulesDebug.STORAGE_KEY) === '1';
+    } catch (error) {
+      return Boolean(window.Shopify && Shopify.designMode);
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {*} [detail] - Erro ou dados extras
+   */
+  log(message, detail) {
+    this.entries = [
+      ...this.entries,
+      { time: new Date().toISOString(), message, detail: detail instanceof Error ? detail.message : detail },
+    ].slice(-CartRulesDebug.MAX_ENTRIES);
+    if (!this.enabled) return;
+
+    console.error(message, detail);
+    this.render();
+  }
+
+  /**
+   * @param {Object} trace - Resultado de CartRulesEngine.trace
+   */
+  record(trace) {
+    this.trace = { time: new Date().toISOString(), ...trace };
+    this.render();
+  }
+
+  /**
+   * @returns {string} - Trace completo em JSON, para anexar em chamados de suporte
+   */
+  getReport() {
+    return JSON.stringify(
+      { url: window.location.href, userAgent: navigator.userAgent, trace: this.trace, log: this.entries },
+      null,
+      2
+    );
+  }
+
+  render() {
+    if (!this.enabled) return;
+
+    if (!this.panel) {
+      const template = document.getElementById('CartRulesDebugTemplate');
+      if (!template) return;
+
+      document.body.appendChild(template.content.cloneNode(true));
+      this.panel = document.querySelector('.cart-rules-debug');
+      this.panel.querySelector('.cart-rules-debug__copy').addEventListener('click', (event) => {
+        navigator.clipboard.writeText(this.getReport()).then(() => {
+          event.target.textContent = event.target.dataset.copiedLabel;
+        });
+      });
+    }
+
+    const rules = this.panel.querySelector('.cart-rules-debug__rules');
+    rules.replaceChildren(
+      ...((this.trace && this.trace.rules) || []).map((rule) => {
+        const item = document.createElement('li');
+        item.classList.add('cart-rules-debug__rule', `cart-rules-debug__rule--${rule.passed ? 'passed' : 'failed'}`);
+
+        const heading = document.createElement('strong');
+        heading.textContent = `${rule.passed ? '✓' : '✗'} ${rule.ruleId} (${rule.type})`;
+        const data = document.createElement('pre');
+        data.textContent = JSON.stringify(rule.message ? { message: rule.message, ...rule.data } : rule.data, null, 2);
+
+        item.append(heading, data);
+        return item;
+      })
+    );
+
+    const log = this.panel.querySelector('.cart-rules-debug__log');
+    log.replaceChildren(
+      ...this.entries.map(({ time, message, detail }) => {
+        const item = document.createElement('li');
+        item.textContent = `${time.slice(11, 19)} ${message}${detail === undefined ? '' : ` ${detail}`}`;
+        return item;
+      })
+    );
+  }
+}
+
+if (!window.cartRulesDebug) {
+  window.cartRulesDebug = new CartRulesDebug();
+}
+
+/**
+ * Cache dos dados de produto das regras (snippet cart-rules-product-data), compartilhado entre
+ * páginas pelo localStorage. Cada produto expira após TTL e o cache inteiro é descartado quando
+ * muda o formato (VERSION) ou a configuração das regras do tema.
+ */
+class CartRulesProductCache {
+  static STORAGE_KEY = 'cart-rules:products';
+  static VERSION = 1;
+  static TTL = 60 * 60 * 1000;
+
+  /**
+   * @param {Array<Object>} rules - Regras configuradas; qualquer mudança nelas invalida o cache
+   */
+  constructor(rules) {
+    this.config = CartRulesProductCache.hash(JSON.stringify(rules));
+    this.products = {};
+    this.savedAt = {};
+    this.restore();
+  }
+
+  /**
+   * Hash curto (djb2) usado para comparar configurações
+   * @param {string} value
+   * @returns {string}
+   */
+  static hash(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+  }
+
+  restore() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CartRulesProductCache.STORAGE_KEY));
+      if (!stored || stored.version !== CartRulesProductCache.VERSION || stored.config !== this.config) return;
+
+      const now = Date.now();
+      Object.entries(stored.products || {}).forEach(([productId, { meta, savedAt }]) => {
+        if (now - savedAt > CartRulesProductCache.TTL) return;
+        this.products[productId] = meta;
+        this.savedAt[productId] = savedAt;
+      });
+    } catch (error) {
+      // Sem acesso ao localStorage ou dados corrompidos: começa com o cache vazio
+    }
+  }
+
+  /**
+   * @param {string|number} productId
+   * @param {Object} meta - { handle, type, tags, collections, categories }
+   * @returns {boolean} - Se os dados do produto mudaram
+   */
+  set(productId, meta) {
+    const changed = JSON.stringify(this.products[productId]) !== JSON.stringify(meta);
+    this.products[productId] = meta;
+    if (changed) this.savedAt[productId] = Date.now();
+    return changed;
+  }
+
+  save() {
+    const products = Object.fromEntries(
+      Object.entries(this.products).map(([productId, meta]) => [productId, { meta, savedAt: this.savedAt[productId] }])
+    );
+
+    try {
+      localStorage.setItem(
+        CartRulesProductCache.STORAGE_KEY,
+        JSON.stringify({ version: CartRulesProductCache.VERSION, config: this.config, products })
+      );
+    } catch (error) {
+      window.cartRulesDebug.log('Erro ao salvar o cache de produtos das regras do carrinho:', error);
+    }
+  }
+}
+
+/**
+ * Eventos de analytics das regras do carrinho, enviados para window.dataLayer e
+ * Shopify.analytics.publish:
+ * - cart_rules_checkout_blocked: cada tentativa de checkout barrada, um evento por regra violada
+ * - cart_rules_rule_failed / cart_rules_rule_passed: mudanças de estado de uma regra entre validações
+ * - cart_rules_checkout_recovered: checkout liberado depois de ter sido barrado na mesma sessão
+ */
+class CartRulesAnalytics {
+  static STORAGE_KEY = 'cart-rules:blocked';
+
+  /**
+   * @param {string} name
+   * @param {Object} data
+   */
+  track(name, data) {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push({ event: name, ...data });
+
+    if (window.Shopify && Shopify.analytics && typeof Shopify.analytics.publish === 'function') {
+      Shopify.analytics.publish(name, data);
+    }
+  }
+
+  /**
+   * @param {Object} cart
+   * @param {Object} [violation]
+   * @returns {Object} - Dados comuns a todos os eventos; valores em unidades da moeda do carrinho
+   */
+  getEventData(cart, violation) {
+    return {
+      rule_id: violation ? violation.ruleId : null,
+      rule_type: violation ? violation.type : null,
+      cart_subtotal: cart ? cart.total_price / 100 : this.getDisplayedSubtotal(),
+      missing_amount: violation && violation.missingAmount ? violation.missingAmount / 100 : null,
+      item_count: cart ? cart.item_count : null,
+      currency: cart ? cart.currency : null,
+    };
+  }
+
+  /**
+   * @returns {number|null} - Total exibido na página, quando o carrinho não pôde ser carregado
+   */
+  getDisplayedSubtotal() {
+    const total = window.cartStore.getTotal();
+    return total === null ? null : total / 100;
+  }
+
+  /**
+   * @param {Object} cart
+   * @param {Array<Object>} violations
+   * @param {boolean} failed - Bloqueio por falha na verificação das regras, sem violações conhecidas
+   */
+  trackBlockedCheckout(cart, violations, failed = false) {
+    const blocked = failed
+      ? [{ ruleId: 'verification', type: 'verification_failed', missingAmount: null }]
+      : violations;
+    blocked.forEach((violation) => this.track('cart_rules_checkout_blocked', this.getEventData(cart, violation)));
+
+    try {
+      const ruleIds = new Set([...this.getBlockedRuleIds(), ...blocked.map(({ ruleId }) => ruleId)]);
+      sessionStorage.setItem(CartRulesAnalytics.STORAGE_KEY, JSON.stringify([...ruleIds]));
+    } catch (error) {
+      // Sem sessionStorage o evento de recuperação não é enviado
+    }
+  }
+
+  /**
+   * @param {Object} cart
+   */
+  trackCheckout(cart) {
+    const ruleIds = this.getBlockedRuleIds();
+    if (ruleIds.length === 0) return;
+
+    this.track('cart_rules_checkout_recovered', { ...this.getEventData(cart), blocked_rule_ids: ruleIds });
+    try {
+      sessionStorage.removeItem(CartRulesAnalytics.STORAGE_KEY);
+    } catch (error) {
+      // Ignorado: ver trackBlockedCheckout
+    }
+  }
+
+  /**
+   * @param {Object} cart
+   * @param {Array<Object>|null} previous - Violações da validação anterior; null na primeira validação
+   * @param {Array<Object>} current
+   */
+  trackTransitions(cart, previous, current) {
+    if (!previous) return;
+
+    const previousIds = previous.map(({ ruleId }) => ruleId);
+    const currentIds = current.map(({ ruleId }) => ruleId);
+    current
+      .filter(({ ruleId }) => !previousIds.includes(ruleId))
+      .forEach((violation) => this.track('cart_rules_rule_failed', this.getEventData(cart, violation)));
+    previous
+      .filter(({ ruleId }) => !currentIds.includes(ruleId))
+      .forEach((violation) =>
+        this.track('cart_rules_rule_passed', { ...this.getEventData(cart, violation), missing_amount: 0 })
+      );
+  }
+
+  /**
+   * @returns {Array<string>} - Regras que barraram o checkout nesta sessão
+   */
+  getBlockedRuleIds() {
+    try {
+      return JSON.parse(sessionStorage.getItem(CartRulesAnalytics.STORAGE_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+class CartRulesValidator {
+  /**
+   * @param {CartRulesEngine} engine
+   * @param {string} [failurePolicy] - Um dos valores de CART_RULES_FAILURE_POLICIES
+   */
+  constructor(engine, failurePolicy = CART_RULES_FAILURE_POLICIES.retry) {
+    this.engine = engine;
+    this.failurePolicy = Object.values(CART_RULES_FAILURE_POLICIES).includes(failurePolicy)
+      ? failurePolicy
+      : CART_RULES_FAILURE_POLICIES.retry;
+    this.productCache = new CartRulesProductCache(engine.rules);
+    this.pendingProductMeta = null;
+    this.cart = null;
+    this.violations = [];
+    this.failure = null;
+    this.validationId = 0;
+    this.pendingValidation = null;
+    this.recommendations = {};
+    this.analytics = new CartRulesAnalytics();
+    this.validated = false;
+    this.guardedCheckoutButtons = new WeakSet();
+
+    window.cartStore.subscribe((cart) => this.validate(cart));
+    window.cartStore.subscribeError((error) => this.fail(error));
+    document.addEventListener('click', this.onCheckoutClick.bind(this), true);
+    document.addEventListener('submit', this.onCheckoutSubmit.bind(this), true);
+    document.addEventListener('click', this.onRecommendationClick.bind(this));
+
+    this.guardAdditionalCheckoutButtons();
+    this.validate();
+  }
+
+  /**
+   * Mapa product_id -> dados do produto, no formato esperado pelo CartRulesEngine
+   */
+  get productMeta() {
+    return this.productCache.products;
+  }
+
+  get isValid() {
+    if (this.failure && this.failurePolicy !== CART_RULES_FAILURE_POLICIES.open) return false;
+    return this.violations.length === 0;
+  }
+
+  /**
+   * Carrega os metadados dos produtos e avalia as regras contra o carrinho.
+   * Apenas o resultado da validação mais recente é aplicado na tela.
+   * @param {Object} [cart] - Carrinho já conhecido; se omitido, é lido do cartStore
+   * @returns {Promise<Array<Object>>} - Violações encontradas
+   */
+  validate(cart) {
+    const validationId = ++this.validationId;
+
+    this.pendingValidation = (cart ? Promise.resolve(cart) : window.cartStore.load())
+      .then((cart) => this.loadProductMeta(cart.items).then(() => cart))
+      .then((cart) => {
+        const violations = this.engine.evaluate(cart, this.productMeta);
+        if (validationId === this.validationId) {
+          this.analytics.trackTransitions(cart, this.validated ? this.violations : null, violations);
+          this.validated = true;
+          this.cart = cart;
+          this.violations = violations;
+          this.failure = null;
+          this.render();
+          this.publishResult();
+          if (window.cartRulesDebug.enabled) window.cartRulesDebug.record(this.engine.trace(cart, this.productMeta));
+        }
+        return violations;
+      })
+      .catch((error) => {
+        if (validationId === this.validationId) this.fail(error);
+        return this.violations;
+      })
+      .finally(() => {
+        if (validationId === this.validationId) this.pendingValidation = null;
+      });
+
+    return this.pendingValidation;
+  }
+
+  /**
+   * Marca a validação como degradada quando o carrinho ou os dados dos produtos não carregam.
+   * Pela política configurada, o checkout continua liberado (open) ou fica bloqueado
+   * até a próxima validação bem-sucedida (closed e retry).
+   * @param {Error} error
+   */
+  fail(error) {
+    window.cartRulesDebug.log('Erro ao validar regras do carrinho:', error);
+
+    this.validationId++;
+    this.pendingValidation = null;
+    this.failure = error;
+    if (this.failurePolicy === CART_RULES_FAILURE_POLICIES.open) this.violations = [];
+
+    this.render();
+    this.publishResult();
+  }
+
+  /**
+   * Refaz a busca do carrinho depois de uma falha (botão "Tentar novamente")
+   */
+  retry() {
+    document.querySelectorAll('.cart-rules-errors__retry').forEach((button) => button.setAttribute('aria-disabled', true));
+    window.cartStore.refresh().catch(() => {});
+  }
+
+  /**
+   * Carrega o mapa de produtos renderizado pelo servidor (snippet cart-rules-product-data).
+   * Se algum produto do carrinho não estiver na página, busca a seção cart-rules-data, que traz
+   * os dados de todos os produtos do carrinho numa única requisição. Os dados ficam guardados
+   * por id de produto e chamadas simultâneas compartilham a mesma requisição.
+   * @param {Array<Object>} items - Itens do carrinho
+   * @returns {Promise} - Rejeita se algum item continuar sem dados, já que as regras não podem ser avaliadas
+   */
+  loadProductMeta(items) {
+    const getMissingIds = () => [
+      ...new Set(items.map((item) => item.product_id).filter((productId) => !this.productMeta[productId])),
+    ];
+
+    this.readProductMeta(document);
+    if (getMissingIds().length === 0) return Promise.resolve();
+
+    const joined = Boolean(this.pendingProductMeta);
+    if (!joined) {
+      this.pendingProductMeta = fetchWithRetry(`${routes.cart_url}?section_id=cart-rules-data`)
+        .then((response) => response.text())
+        .then((responseText) => this.readProductMeta(new DOMParser().parseFromString(responseText, 'text/html')))
+        .finally(() => {
+          this.pendingProductMeta = null;
+        });
+    }
+
+    return this.pendingProductMeta.then(() => {
+      const missingIds = getMissingIds();
+      if (missingIds.length === 0) return;
+
+      // A requisição compartilhada pode ter sido feita antes de o produto entrar no carrinho
+      if (joined) return this.loadProductMeta(items);
+      throw new Error(`Dados ausentes para os produtos ${missingIds.join(', ')}`);
+    });
+  }
+
+  /**
+   * @param {Document|HTMLElement} root - Onde procurar os elementos [data-cart-rules-product]
+   */
+  readProductMeta(root) {
+    let changed = false;
+    root.querySelectorAll('[data-cart-rules-product]').forEach((element) => {
+      try {
+        changed = this.productCache.set(element.dataset.cartRulesProduct, JSON.parse(element.textContent)) || changed;
+      } catch (error) {
+        window.cartRulesDebug.log('Erro ao ler os dados do produto para as regras do carrinho:', error);
+      }
+    });
+
+    if (changed) this.productCache.save();
+  }
+
+  /**
+   * Simula a adição de um produto ao carrinho atual
+   * @param {string|number} productId - Produto que será adicionado
+   * @param {number} quantity - Quantidade que será adicionada
+   * @returns {Promise<Array<Object>>} - Violações de categoria e de proporção causadas pelo produto adicionado
+   */
+  checkAddition(productId, quantity) {
+    return window.cartStore
+      .load()
+      .then((cart) => this.loadProductMeta(cart.items).then(() => cart))
+      .then((cart) => {
+        const pendingItem = { key: 'pending', product_id: productId, quantity };
+        const violations = this.engine.evaluate({ ...cart, items: [...cart.items, pendingItem] }, this.productMeta);
+
+        return violations.filter(
+          (violation) =>
+            [CART_RULE_TYPES.categoryRequires, CART_RULE_TYPES.ratio].includes(violation.type) &&
+            violation.lineItems.includes(pendingItem.key)
+        );
+      });
+  }
+
+  /**
+   * Limite de quantidade das regras max_quantity para um produto, considerando o carrinho atual
+   * @param {string|number} productId
+   * @param {Array<string>} excludedKeys - Linhas do carrinho sendo editadas
+   * @returns {Object|null} - { max, rule, message }
+   */
+  getQuantityLimit(productId, excludedKeys = []) {
+    if (!productId) return null;
+    if (!this.productMeta[productId]) this.readProductMeta(document);
+
+    const limit = this.engine.getQuantityLimit(window.cartStore.cart, this.productMeta, productId, excludedKeys);
+    if (!limit) return null;
+
+    return { ...limit, message: this.getMessage({ ruleId: limit.rule.id, message: limit.rule.message }) };
+  }
+
+  /**
+   * Simula a alteração de quantidade (ou remoção) de uma linha do carrinho atual
+   * @param {number|string} line - Linha do carrinho (começando em 1), como em cart/change
+   * @param {number} quantity - Nova quantidade; 0 remove o item
+   * @returns {Promise<Array<Object>>} - Violações que a alteração causaria e que ainda não existem
+   */
+  checkChange(line, quantity) {
+    return window.cartStore
+      .load()
+      .then((cart) => this.loadProductMeta(cart.items).then(() => cart))
+      .then((cart) => {
+        const current = this.engine.evaluate(cart, this.productMeta).map((violation) => violation.ruleId);
+        const violations = this.engine.evaluate(this.simulateChange(cart, parseInt(line), quantity), this.productMeta);
+
+        return violations.filter((violation) => !current.includes(violation.ruleId));
+      });
+  }
+
+  /**
+   * @param {Object} cart - Carrinho atual
+   * @param {number} line - Linha alterada (começando em 1)
+   * @param {number} quantity - Nova quantidade
+   * @returns {Object} - Cópia do carrinho com a alteração aplicada
+   */
+  simulateChange(cart, line, quantity) {
+    const target = cart.items[line - 1];
+    if (!target) return cart;
+
+    const difference = quantity - target.quantity;
+    return {
+      ...cart,
+      items: cart.items
+        .map((item, index) => (index === line - 1 ? { ...item, quantity } : item))
+        .filter((item) => item.quantity > 0),
+      item_count: cart.item_count + difference,
+      total_price: cart.total_price + target.final_price * difference,
+    };
+  }
+
+  /**
+   * Publica o resultado completo da validação em PUB_SUB_EVENTS.cartValidation.
+   * Cada regra configurada aparece em `rules`, tenha passado ou não.
+   */
+  publishResult() {
+    const rules = this.engine.rules.map((rule) => {
+      const violation = this.violations.find(({ ruleId }) => ruleId === rule.id);
+      return {
+        ruleId: rule.id,
+        type: rule.type,
+        passed: !violation,
+        message: violation ? this.getMessage(violation) : null,
+        lineItems: violation ? violation.lineItems : [],
+        missingAmount: violation ? violation.missingAmount : null,
+        overQuantity: violation && violation.overQuantity !== undefined ? violation.overQuantity : null,
+        missingQuantity: violation && violation.missingQuantity !== undefined ? violation.missingQuantity : null,
+      };
+    });
+
+    publish(PUB_SUB_EVENTS.cartValidation, {
+      source: 'cart-rules',
+      valid: this.isValid,
+      degraded: Boolean(this.failure),
+      cart: this.cart,
+      rules,
+    });
+  }
+
+  /**
+   * Mensagem da violação, respeitando a mensagem configurada para o carrinho onde ela é mostrada
+   * (atributos data-message-<ruleId> do container de erros) quando existir. Os placeholders são preenchidos com
+   * os dados da regra: [minimum], [missing], [category], [required], [max] e [target], e nas regras
+   * ratio também [companion], [every], [over] (unidades excedentes) e [needed] (acompanhantes que faltam).
+   * @param {Object} violation
+   * @param {HTMLElement} [context] - Container de erros ou elemento dentro do carrinho (página, drawer ou notificação)
+   * @returns {string}
+   */
+  getMessage(violation, context = null) {
+    const container = this.getErrorsContainer(context);
+    const message = (container && container.getAttribute(`data-message-${violation.ruleId}`)) || violation.message;
+    const rule = this.engine.getRule(violation.ruleId) || {};
+    const minimum = this.engine.getMinimumAmount(this.cart);
+    const values = {
+      minimum: minimum === null ? null : formatMoney(minimum),
+      missing: violation.missingAmount ? formatMoney(violation.missingAmount) : null,
+      category: rule.label || rule.category,
+      required: rule.requires
+        ? new Intl.ListFormat(document.documentElement.lang, { type: 'disjunction' }).format(
+            rule.requiresLabels || rule.requires
+          )
+        : null,
+      max: rule.max,
+      target: rule.type === CART_RULE_TYPES.maxQuantity ? rule.label || '' : null,
+      companion: rule.perLabel || rule.per,
+      every: rule.every,
+      over: violation.overQuantity,
+      needed: violation.missingQuantity,
+    };
+
+    return message.replace(/\[(\w+)\]/g, (placeholder, key) =>
+      values[key] === null || values[key] === undefined ? placeholder : values[key]
+    );
+  }
+
+  /**
+   * Guarda única de todas as entradas do checkout: bloqueia enquanto houver violações
+   * ou uma validação em andamento e, quando a validação termina sem violações, continua
+   * a navegação original
+   * @param {Event} event
+   * @param {Function|null} proceed - Refaz a navegação original; null quando ela não pode ser repetida
+   */
+  guardCheckout(event, proceed) {
+    const pending = window.cartStore.pendingFetch || this.pendingValidation;
+    if (!pending && this.isValid) {
+      this.analytics.trackCheckout(this.cart);
+      return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (!pending) {
+      this.blockCheckout();
+      return;
+    }
+
+    pending
+      .catch(() => {})
+      .then(() => this.pendingValidation)
+      .then(() => {
+        if (this.isValid && proceed) proceed();
+        if (!this.isValid) this.blockCheckout();
+      });
+  }
+
+  /**
+   * Mostra o motivo do bloqueio e registra a tentativa de checkout barrada
+   */
+  blockCheckout() {
+    this.render();
+    const failed = Boolean(this.failure) && this.violations.length === 0;
+    this.analytics.trackBlockedCheckout(this.cart, this.violations, failed);
+  }
+
+  /**
+   * Botões de checkout fora de formulários e links para /checkout. Botões dentro de formulários
+   * passam pelo evento submit; os de checkout acelerado, por guardAdditionalCheckoutButtons.
+   * @param {Event} event
+   */
+  onCheckoutClick(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const button = event.target.closest('[name="checkout"]');
+    if (button && !button.form) {
+      this.guardCheckout(event, () => button.click());
+      return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (link && this.isCheckoutUrl(link.href)) {
+      this.guardCheckout(event, () => (window.location.href = link.href));
+    }
+  }
+
+  /**
+   * Botões de checkout acelerado (additional_checkout_buttons): o clique é interceptado na fase
+   * de captura do próprio container, antes de chegar ao botão. Com o checkout barrado, os iframes
+   * dos botões ficam sem pointer-events (component-cart-rules.css) e o clique cai no container.
+   */
+  guardAdditionalCheckoutButtons() {
+    document.querySelectorAll('.additional-checkout-buttons').forEach((container) => {
+      if (this.guardedCheckoutButtons.has(container)) return;
+
+      this.guardedCheckoutButtons.add(container);
+      container.addEventListener('click', (event) => this.guardCheckout(event, null), true);
+    });
+  }
+
+  /**
+   * Envio dos formulários do carrinho (/cart) com intenção de checkout: clique no botão,
+   * Enter num campo ou requestSubmit
+   * @param {SubmitEvent} event
+   */
+  onCheckoutSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || new URL(form.action, window.location.origin).pathname !== routes.cart_url) {
+      return;
+    }
+
+    const submitter = event.submitter || form.elements.checkout;
+    if (!submitter || submitter.name !== 'checkout') return;
+
+    this.guardCheckout(event, () => form.requestSubmit(submitter));
+  }
+
+  /**
+   * /checkout e /checkouts/..., opcionalmente após o prefixo de idioma (/en, /pt-br) ou o id da loja
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isCheckoutUrl(url) {
+    const { origin, pathname } = new URL(url, window.location.origin);
+    return origin === window.location.origin && /^(\/[a-z]{2}(-[a-z]{2})?|\/\d+)?\/checkouts?(\/|$)/i.test(pathname);
+  }
+
+  /**
+   * Adiciona ao carrinho um produto sugerido na mensagem de erro, sem sair do drawer, e atualiza
+   * as mesmas seções que CartItems atualiza numa alteração de quantidade
+   * @param {Event} event
+   */
+  onRecommendationClick(event) {
+    const button = event.target.closest('.cart-rules-recommendations__add');
+    if (!button || button.getAttribute('aria-disabled') === 'true') return;
+
+    button.setAttribute('aria-disabled', true);
+    button.classList.add('loading');
+    button.querySelector('.loading__spinner').classList.remove('hidden');
+
+    const item = button.closest('.cart-rules-recommendations__item');
+    const cartItems = document.querySelector(button.closest('cart-drawer') ? 'cart-drawer-items' : 'cart-items');
+    const sections = cartItems
+      ? cartItems.getSectionsToRender()
+      : [{ id: 'cart-icon-bubble', section: 'cart-icon-bubble', selector: '.shopify-section' }];
+    const body = JSON.stringify({
+      id: button.dataset.variantId,
+      quantity: 1,
+      sections: sections.map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    fetch(routes.cart_add_url, { ...fetchConfig(), body })
+      .then((response) => response.json())
+      .then((response) => {
+        this.showRecommendationError(item, null);
+
+        if (response.status) {
+          publish(PUB_SUB_EVENTS.cartError, {
+            source: 'cart-rules',
+            productVariantId: button.dataset.variantId,
+            errors: response.errors || response.description,
+            message: response.message,
+          });
+          this.showRecommendationError(item, response.description || response.message);
+          return;
+        }
+
+        if (response.sections) {
+          sections.forEach((section) => {
+            const container = document.getElementById(section.id);
+            const html = response.sections[section.section];
+            if (!container || !html) return;
+
+            const source = new DOMParser().parseFromString(html, 'text/html').querySelector(section.selector);
+            (container.querySelector(section.selector) || container).innerHTML = source ? source.innerHTML : '';
+          });
+        }
+
+        publish(PUB_SUB_EVENTS.cartUpdate, {
+          source: 'cart-rules',
+          productVariantId: button.dataset.variantId,
+          cartData: response,
+        });
+      })
+      .catch((error) => {
+        window.cartRulesDebug.log('Erro ao adicionar produto sugerido:', error);
+        this.showRecommendationError(item, window.cartStrings.error);
+      })
+      .finally(() => {
+        button.removeAttribute('aria-disabled');
+        button.classList.remove('loading');
+        button.querySelector('.loading__spinner').classList.add('hidden');
+      });
+  }
+
+  /**
+   * @param {HTMLElement} item - Item da lista de sugestões
+   * @param {string|null} text - Mensagem de erro; null remove a mensagem atual
+   */
+  showRecommendationError(item, text) {
+    const current = item.querySelector('.cart-rules-recommendations__error');
+    if (current) current.remove();
+    if (!text) return;
+
+    const message = document.createElement('p');
+    message.classList.add('cart-rules-recommendations__error');
+    message.textContent = text;
+    item.appendChild(message);
+  }
+
+  /**
+   * Busca (uma única vez por regra) os produtos sugeridos das coleções exigidas.
+   * Usa a seção cart-rules-recommendations renderizada na página de cada coleção.
+   * @param {Object} rule - Regra category_requires ou ratio
+   * @returns {Promise<string>} - HTML das sugestões
+   */
+  loadRecommendations(rule) {
+    if (!this.recommendations[rule.id]) {
+      this.recommendations[rule.id] = Promise.all(
+        this.engine.getCompanionCategories(rule).map((handle) =>
+          fetchWithRetry(`${routes.collections_url}/${handle}?section_id=cart-rules-recommendations`)
+            .then((response) => response.text())
+            .catch((error) => (error.status === 404 ? '' : Promise.reject(error)))
+            .then((responseText) => {
+              const html = new DOMParser().parseFromString(responseText, 'text/html');
+              const recommendations = html.querySelector('.cart-rules-recommendations');
+              return recommendations && recommendations.querySelector('li') ? recommendations.outerHTML : '';
+            })
+        )
+      )
+        .then((sections) => sections.join(''))
+        .catch((error) => {
+          window.cartRulesDebug.log('Erro ao carregar produtos sugeridos:', error);
+          delete this.recommendations[rule.id];
+          return '';
+        });
+    }
+
+    return this.recommendations[rule.id];
+  }
+
+  /**
+   * @param {Object} violation - Violação category_requires ou ratio
+   * @returns {HTMLElement} - Container preenchido quando as sugestões terminam de carregar
+   */
+  renderRecommendations(violation) {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('cart-rules-errors__recommendations');
+
+    const rule = this.engine.getRule(violation.ruleId);
+    if (rule && this.engine.getCompanionCategories(rule).length) {
+      this.loadRecommendations(rule).then((html) => {
+        wrapper.innerHTML = html;
+      });
+    }
+
+    return wrapper;
+  }
+
+  /**
+   * Aplica o resultado da validação em todos os botões de checkout e containers de erro.
+   * Botões barrados pelas regras ficam com aria-disabled, não disabled: continuam recebendo o clique,
+   * que guardCheckout cancela e registra como tentativa de checkout barrada.
+   */
+  render() {
+    const emptyCart = this.cart ? this.cart.item_count === 0 : !this.failure;
+    const blocked = !this.isValid || emptyCart;
+    document.querySelectorAll('[name="checkout"]').forEach((button) => {
+      button.disabled = emptyCart;
+      button.classList.toggle('button--disabled', blocked);
+      if (blocked && !emptyCart) {
+        button.setAttribute('aria-disabled', true);
+      } else {
+        button.removeAttribute('aria-disabled');
+      }
+    });
+    this.guardAdditionalCheckoutButtons();
+    document.querySelectorAll('.additional-checkout-buttons').forEach((container) => {
+      container.classList.toggle('additional-checkout-buttons--blocked', blocked);
+    });
+
+    document.querySelectorAll('[data-cart-rules-errors]').forEach((container) => {
+      container.replaceChildren(
+        ...this.renderFailure(),
+        ...this.violations.flatMap((violation) => {
+          const message = document.createElement('p');
+          message.classList.add('cart-rules-errors__message');
+          message.dataset.ruleId = violation.ruleId;
+          message.textContent = this.getMessage(violation, container);
+
+          if ([CART_RULE_TYPES.categoryRequires, CART_RULE_TYPES.ratio].includes(violation.type)) {
+            return [message, this.renderRecommendations(violation)];
+          }
+          if (violation.type === CART_RULE_TYPES.ageVerification && window.ageGate) {
+            return [message, window.ageGate.createOpener()];
+          }
+          return [message];
+        })
+      );
+    });
+  }
+
+  /**
+   * @param {HTMLElement|null} context
+   * @returns {HTMLElement|null} - Container de erros do carrinho que contém `context`
+   */
+  getErrorsContainer(context) {
+    if (!context) return null;
+    if (context.matches('[data-cart-rules-errors]')) return context;
+
+    const scope = context.closest('cart-drawer, cart-notification, #MainContent');
+    return scope && scope.querySelector('[data-cart-rules-errors]');
+  }
+
+  /**
+   * Aviso de validação degradada, com o botão de tentar novamente na política retry
+   * @returns {Array<HTMLElement>}
+   */
+  renderFailure() {
+    if (!this.failure) return [];
+
+    const open = this.failurePolicy === CART_RULES_FAILURE_POLICIES.open;
+    const message = document.createElement('p');
+    message.classList.add('cart-rules-errors__message', 'cart-rules-errors__message--degraded');
+    message.setAttribute('role', 'status');
+    message.textContent = open ? window.cartStrings.rulesUnavailable : window.cartStrings.rulesUnavailableBlocked;
+    if (this.failurePolicy !== CART_RULES_FAILURE_POLICIES.retry) return [message];
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('cart-rules-errors__retry', 'link');
+    button.textContent = window.cartStrings.rulesRetry;
+    button.addEventListener('click', () => {
+      if (button.getAttribute('aria-disabled') !== 'true') this.retry();
+    });
+
+    return [message, button];
+  }
+}
+
+class CartMinimumProgress extends HTMLElement {
+  cartStoreUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.cartStoreUnsubscriber = window.cartStore.subscribe(this.update.bind(this));
+    if (window.cartStore.cart) this.update(window.cartStore.cart);
+  }
+
+  disconnectedCallback() {
+    if (this.cartStoreUnsubscriber) {
+      this.cartStoreUnsubscriber();
+    }
+  }
+
+  update(cart) {
+    const minimum = window.cartRulesValidator.engine.getMinimumAmount(cart);
+    if (!minimum) {
+      this.classList.add('hidden');
+      return;
+    }
+
+    const missing = Math.max(minimum - cart.total_price, 0);
+    const percent = Math.min(Math.floor((cart.total_price * 100) / minimum), 100);
+
+    this.classList.toggle('hidden', cart.item_count === 0);
+    this.querySelector('.cart-minimum-progress__text').textContent =
+      missing > 0 ? this.dataset.missingText.replace('[amount]', formatMoney(missing)) : this.dataset.reachedText;
+
+    const progressBar = this.querySelector('[role="progressbar"]');
+    progressBar.setAttribute('aria-valuenow', percent);
+    progressBar.querySelector('.progress-bar-value').style.setProperty('--progress', percent / 100);
+  }
+}
+
+customElements.define('cart-minimum-progress', CartMinimumProgress);
+
+/**
+ * Faixas de benefícios por valor do carrinho (setting cart_rules_tiers), exibidas como uma barra
+ * segmentada. Ao atingir uma nova faixa, o benefício é anunciado na região ao vivo do carrinho.
+ */
+class CartTierProgress extends HTMLElement {
+  // Compartilhado entre as instâncias (drawer, notificação e carrinho) para anunciar uma única vez
+  static reachedCount = null;
+  static LIVE_REGION_ID = 'CartTierProgress-LiveRegion';
+
+  cartStoreUnsubscriber = undefined;
+
+  /**
+   * Região ao vivo própria, fora do carrinho: existe em qualquer página e tipo de carrinho, mesmo com a
+   * notificação ou o drawer fechados. Criada antes do primeiro anúncio para ser reconhecida pelos leitores de tela.
+   * @returns {HTMLElement}
+   */
+  static getLiveRegion() {
+    let region = document.getElementById(CartTierProgress.LIVE_REGION_ID);
+    if (!region) {
+      region = document.createElement('p');
+      region.id = CartTierProgress.LIVE_REGION_ID;
+      region.classList.add('visually-hidden');
+      region.setAttribute('role', 'status');
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  connectedCallback() {
+    CartTierProgress.getLiveRegion();
+    this.cartStoreUnsubscriber = window.cartStore.subscribe(this.update.bind(this));
+    if (window.cartStore.cart) this.update(window.cartStore.cart);
+  }
+
+  disconnectedCallback() {
+    if (this.cartStoreUnsubscriber) {
+      this.cartStoreUnsubscriber();
+    }
+  }
+
+  update(cart) {
+    const rate = parseFloat((window.Shopify && Shopify.currency && Shopify.currency.rate) || 1);
+    const segments = [...this.querySelectorAll('.cart-tier-progress__segment')];
+    let previousAmount = 0;
+    let next = null;
+    let reached = [];
+
+    segments.forEach((segment) => {
+      const amount = Math.round(parseInt(segment.dataset.amount) * rate);
+      const progress = Math.min(Math.max((cart.total_price - previousAmount) / (amount - previousAmount), 0), 1);
+      const isReached = cart.total_price >= amount;
+
+      segment.style.setProperty('--progress', progress);
+      segment.classList.toggle('cart-tier-progress__segment--reached', isReached);
+      segment.querySelector('.cart-tier-progress__label').textContent = `${segment.dataset.label} · ${formatMoney(
+        amount
+      )}`;
+
+      if (isReached) reached = [...reached, segment];
+      if (!isReached && !next) next = { segment, missing: amount - cart.total_price };
+      previousAmount = amount;
+    });
+
+    this.classList.toggle('hidden', cart.item_count === 0 || segments.length === 0);
+    const lastSegment = segments[segments.length - 1];
+    this.querySelector('.cart-tier-progress__text').textContent = next
+      ? this.dataset.missingText
+          .replace('[amount]', formatMoney(next.missing))
+          .replace('[label]', next.segment.dataset.label)
+      : this.dataset.reachedText.replace('[reward]', lastSegment ? lastSegment.dataset.reward : '');
+
+    if (CartTierProgress.reachedCount !== null && reached.length > CartTierProgress.reachedCount) {
+      const segment = reached[reached.length - 1];
+      this.announce(
+        this.dataset.announcementText
+          .replace('[label]', segment.dataset.label)
+          .replace('[reward]', segment.dataset.reward)
+      );
+    }
+    CartTierProgress.reachedCount = reached.length;
+  }
+
+  /**
+   * @param {string} message - Lido pelos leitores de tela na região ao vivo dos benefícios
+   */
+  announce(message) {
+    const region = CartTierProgress.getLiveRegion();
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+}
+
+customElements.define('cart-tier-progress', CartTierProgress);
+
+class CartDeliveryZone extends HTMLElement {
+  cartStoreUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.input = this.querySelector('input');
+    this.info = this.querySelector('.cart-delivery-zone__info');
+
+    this.input.addEventListener('input', this.onInput.bind(this));
+    this.input.addEventListener('change', this.onChange.bind(this));
+    this.cartStoreUnsubscriber = window.cartStore.subscribe(() => this.renderZone());
+    this.renderZone();
+  }
+
+  disconnectedCallback() {
+    if (this.cartStoreUnsubscriber) {
+      this.cartStoreUnsubscriber();
+    }
+  }
+
+  /**
+   * Aplica a máscara 00000-000 enquanto o cliente digita
+   */
+  onInput() {
+    const digits = this.input.value.replace(/\D/g, '').slice(0, 8);
+    this.input.value = digits.length > 5 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : digits;
+  }
+
+  /**
+   * Salva o CEP como atributo do carrinho e publica o carrinho atualizado para revalidar as regras
+   */
+  onChange() {
+    const cep = this.input.value;
+    const digits = cep.replace(/\D/g, '');
+    if (digits.length !== 0 && digits.length !== 8) {
+      this.renderInfo(this.dataset.invalidText, true);
+      return;
+    }
+
+    this.classList.add('cart-delivery-zone--loading');
+    const body = JSON.stringify({ attributes: { [this.dataset.attribute]: cep } });
+
+    fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((cart) => publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-delivery-zone', cartData: cart }))
+      .catch((error) => window.cartRulesDebug.log('Erro ao salvar o CEP no carrinho:', error))
+      .finally(() => this.classList.remove('cart-delivery-zone--loading'));
+  }
+
+  renderZone() {
+    const cart = window.cartStore.cart;
+    const cep = (cart && cart.attributes && cart.attributes[this.dataset.attribute]) || this.input.value;
+    if (cart && document.activeElement !== this.input) this.input.value = cep || '';
+
+    const zone = window.cartRulesValidator && window.cartRulesValidator.engine.getDeliveryZone(cep);
+    if (!zone) {
+      this.renderInfo('');
+      return;
+    }
+    if (zone.minimum === null) {
+      this.renderInfo(this.dataset.unavailableText, true);
+      return;
+    }
+
+    const text = this.dataset.zoneText
+      .replace('[zone]', zone.name)
+      .replace('[minimum]', formatMoney(zone.minimum));
+    this.renderInfo(zone.note ? `${text} ${zone.note}` : text);
+  }
+
+  renderInfo(text, isError = false) {
+    this.info.textContent = text;
+    this.info.classList.toggle('cart-delivery-zone__info--error', isError);
+  }
+}
+
+customElements.define('cart-delivery-zone', CartDeliveryZone);
+
+class CartDeliverySlot extends HTMLElement {
+  cartStoreUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.dateSelect = this.querySelector('.cart-delivery-slot__date');
+    this.slotSelect = this.querySelector('.cart-delivery-slot__slot');
+
+    this.dateSelect.addEventListener('change', () => {
+      this.renderSlots();
+      this.save();
+    });
+    this.slotSelect.addEventListener('change', this.save.bind(this));
+    this.cartStoreUnsubscriber = window.cartStore.subscribe(this.render.bind(this));
+    if (window.cartStore.cart) this.render(window.cartStore.cart);
+  }
+
+  disconnectedCallback() {
+    if (this.cartStoreUnsubscriber) {
+      this.cartStoreUnsubscriber();
+    }
+  }
+
+  get rule() {
+    return window.cartRulesValidator && window.cartRulesValidator.engine.getRule('delivery-slot');
+  }
+
+  /**
+   * Monta as opções de data a partir da configuração e da escolha salva no carrinho
+   * @param {Object} cart
+   */
+  render(cart) {
+    const rule = this.rule;
+    if (!rule) return;
+
+    const attributes = (cart && cart.attributes) || {};
+    this.dates = window.cartRulesValidator.engine.getDeliveryDates(rule);
+    const selectedDate = attributes[rule.dateAttribute] || this.dateSelect.value;
+    const dateFormat = new Intl.DateTimeFormat(document.documentElement.lang, {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+    });
+
+    this.dateSelect.replaceChildren(
+      this.createOption('', this.dates.length > 0 ? this.dataset.datePlaceholder : this.dataset.emptyText),
+      ...this.dates.map(({ date }) => {
+        const [year, month, day] = date.split('-').map((part) => parseInt(part));
+        return this.createOption(date, dateFormat.format(new Date(year, month - 1, day)));
+      })
+    );
+    this.dateSelect.value = this.dates.some(({ date }) => date === selectedDate) ? selectedDate : '';
+    this.renderSlots(attributes[rule.slotAttribute]);
+  }
+
+  renderSlots(selectedSlot = this.slotSelect.value) {
+    const day = this.dates.find(({ date }) => date === this.dateSelect.value);
+    const slots = day ? day.slots : [];
+
+    this.slotSelect.replaceChildren(
+      this.createOption('', this.dataset.slotPlaceholder),
+      ...slots.map(({ label }) => this.createOption(label, label))
+    );
+    this.slotSelect.value = slots.some(({ label }) => label === selectedSlot) ? selectedSlot : '';
+    this.slotSelect.disabled = slots.length === 0;
+  }
+
+  createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  }
+
+  /**
+   * Salva data e horário como atributos do carrinho; o validador revalida com o carrinho publicado
+   */
+  save() {
+    const rule = this.rule;
+    const body = JSON.stringify({
+      attributes: {
+        [rule.dateAttribute]: this.dateSelect.value,
+        [rule.slotAttribute]: this.slotSelect.value,
+      },
+    });
+
+    this.classList.add('cart-delivery-slot--loading');
+    fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((cart) => publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-delivery-slot', cartData: cart }))
+      .catch((error) => window.cartRulesDebug.log('Erro ao salvar a data de entrega no carrinho:', error))
+      .finally(() => this.classList.remove('cart-delivery-slot--loading'));
+  }
+}
+
+customElements.define('cart-delivery-slot', CartDeliverySlot);
+
+if (!window.cartRulesValidator) {
+  window.cartRulesValidator = new CartRulesValidator(
+    new CartRulesEngine(window.cartRules),
+    window.cartRulesFailurePolicy
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * Cart Store - Estado compartilhado do carrinho no cliente
+ *
+ * Busca /cart.js uma única vez e depois se mantém atualizado com o `cartData` de cada
+ * publish(PUB_SUB_EVENTS.cartUpdate, ...). Substitui a leitura de window.Shopify.cart,
+ * que nunca é atualizado após alterações via AJAX.
+ */
+class CartStore {
+  constructor() {
+    this.cart = null;
+    this.pendingFetch = null;
+    this.subscribers = [];
+    this.errorSubscribers = [];
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, this.onCartUpdate.bind(this));
+  }
+
+  /**
+   * Carrinho atual, buscando /cart.js apenas se ainda não foi carregado
+   * ou se há uma atualização em andamento
+   * @returns {Promise<Object>}
+   */
+  load() {
+    if (this.pendingFetch) return this.pendingFetch;
+    if (this.cart) return Promise.resolve(this.cart);
+    return this.refresh();
+  }
+
+  /**
+   * Busca o carrinho no servidor. Chamadas simultâneas compartilham a mesma requisição.
+   * @returns {Promise<Object>}
+   */
+  refresh() {
+    if (this.pendingFetch) return this.pendingFetch;
+
+    this.pendingFetch = fetchWithRetry(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => {
+        this.pendingFetch = null;
+        this.set(cart);
+        return this.cart;
+      })
+      .catch((error) => {
+        this.pendingFetch = null;
+        this.errorSubscribers.forEach((callback) => callback(error));
+        throw error;
+      });
+
+    return this.pendingFetch;
+  }
+
+  /**
+   * Total do carrinho em centavos. Sem o carrinho carregado (ex.: /cart.js falhou), lê o total
+   * exibido pela página (.totals__total-value, renderizado com money_with_currency)
+   * @returns {number|null}
+   */
+  getTotal() {
+    if (this.cart) return this.cart.total_price;
+
+    const total = document.querySelector('.totals__total-value');
+    return total ? parseMoney(total.textContent, window.shopMoneyWithCurrencyFormat) : null;
+  }
+
+  /**
+   * @param {Object} cart - Carrinho no formato de /cart.js (as seções renderizadas são descartadas)
+   */
+  set(cart) {
+    const { sections, ...cartData } = cart;
+    this.cart = cartData;
+    this.subscribers.forEach((callback) => callback(this.cart));
+  }
+
+  /**
+   * @param {Function} callback - Recebe o carrinho a cada atualização
+   * @returns {Function} - Cancela a inscrição
+   */
+  subscribe(callback) {
+    this.subscribers = [...this.subscribers, callback];
+
+    return () => {
+      this.subscribers = this.subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  /**
+   * @param {Function} callback - Recebe o erro quando o carrinho não pôde ser buscado
+   * @returns {Function} - Cancela a inscrição
+   */
+  subscribeError(callback) {
+    this.errorSubscribers = [...this.errorSubscribers, callback];
+
+    return () => {
+      this.errorSubscribers = this.errorSubscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  /**
+   * Respostas de cart/change e cart/update trazem o carrinho completo; respostas de
+   * cart/add trazem apenas o item adicionado, então o carrinho é buscado novamente
+   * @param {Object} event - Dados publicados em PUB_SUB_EVENTS.cartUpdate
+   */
+  onCartUpdate(event) {
+    const cartData = event && event.cartData;
+    if (cartData && 'items' in cartData && 'total_price' in cartData && 'item_count' in cartData) {
+      this.set(cartData);
+      return;
+    }
+
+    return this.refresh().catch((error) => window.cartRulesDebug.log('Erro ao atualizar o carrinho:', error));
+  }
+}
+
+if (!window.cartStore) {
+  window.cartStore = new CartStore();
+}
@@ -5,7 +5,7 @@ class CartRemoveButton extends HTMLElement {
     this.addEventListener('click', (event) => {
       event.preventDefault();
       const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
-      cartItems.updateQuantity(this.dataset.index, 0, event);
+      cartItems.changeQuantity(this.dataset.index, 0, event);
     });
   }
 }
@@ -29,8 +29,10 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  cartValidationUnsubscriber = undefined;
 
   connectedCallback() {
+    this.cartValidationUnsubscriber = subscribe(PUB_SUB_EVENTS.cartValidation, this.applyQuantityLimits.bind(this));
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
       if (event.source === 'cart-items') {
         return;
@@ -46,6 +48,9 @@ class CartItems extends HTMLElement {
     if (this.cartUpdateUnsubscriber) {
       this.cartUpdateUnsubscriber();
     }
+    if (this.cartValidationUnsubscriber) {
+      this.cartValidationUnsubscriber();
+    }
   }
   
   /**
@@ -74,7 +79,8 @@ class CartItems extends HTMLElement {
   }
 
   resetQuantityInput(id) {
-    const input = this.querySelector(`#Quantity-${id}`);
+    const input = this.querySelector(`#Quantity-${id}`) || this.querySelector(`#Drawer-quantity-${id}`);
+    if (!input) return;
     input.value = input.getAttribute('value');
     this.isEnterPressed = false;
   }
@@ -97,30 +103,30 @@ class CartItems extends HTMLElement {
       message = window.quickOrderListStrings.max_error.replace('[max]', event.target.max);
     } else if (inputValue % parseInt(event.target.step) !== 0) {
       message = window.quickOrderListStrings.step_error.replace('[step]', event.target.step);
-    } else {
-      // Verificação adicional para valor mínimo do carrinho
-      // Obtém o valor atual do item e o valor total do carrinho
-      const currentItemPrice = this.getItemPrice(event.target);
-      const currentItemQuantity = this.getItemCurrentQuantity(event.target);
-      const cartTotal = this.getCartTotal();
-      
-      // Calcula a diferença de preço com a nova quantidade
-      const priceDifference = currentItemPrice * (inputValue - currentItemQuantity);
-      const newCartTotal = cartTotal + priceDifference;
-      
-      // Verifica se o novo total ficaria abaixo do mínimo (R$90,00 = 9000 centavos)
-      // Apenas bloqueia se a quantidade estiver diminuindo e o total ficar abaixo do mínimo
-      if (newCartTotal < 9000 && newCartTotal > 0 && inputValue < currentItemQuantity) {
-        message = 'O valor mínimo para compra é de R$90,00';
-      }
     }
 
+    const limit = this.getQuantityLimit(index);
+
     if (message) {
       this.setValidity(event, index, message);
+    } else if (limit && inputValue > limit.max) {
+      // Ajusta a quantidade ao limite da regra e informa o limite
+      event.target.value = limit.max;
+      event.target.setCustomValidity(limit.message);
+      event.target.reportValidity();
+      if (limit.max !== parseInt(event.target.getAttribute('value'))) {
+        this.changeQuantity(
+          index,
+          limit.max,
+          event,
+          document.activeElement.getAttribute('name'),
+          event.target.dataset.quantityVariantId
+        );
+      }
     } else {
       event.target.setCustomValidity('');
       event.target.reportValidity();
-      this.updateQuantity(
+      this.changeQuantity(
         index,
         inputValue,
         event,
@@ -130,6 +136,170 @@ class CartItems extends HTMLElement {
     }
   }
 
+  /**
+   * Limite das regras max_quantity para uma linha do carrinho
+   * @param {number|string} line - Linha do carrinho (começando em 1)
+   * @returns {Object|null} - { max, rule, message }
+   */
+  getQuantityLimit(line) {
+    const item = window.cartStore.cart && window.cartStore.cart.items[line - 1];
+    if (!item || !window.cartRulesValidator) return null;
+
+    return window.cartRulesValidator.getQuantityLimit(item.product_id, [item.key]);
+  }
+
+  /**
+   * Aplica os limites das regras max_quantity no atributo max dos inputs,
+   * para que o botão de aumentar fique desabilitado ao atingir o limite
+   */
+  applyQuantityLimits() {
+    this.querySelectorAll('.quantity__input[data-index]').forEach((input) => {
+      if (input.dataset.inventoryMax === undefined) input.dataset.inventoryMax = input.getAttribute('max') || '';
+
+      const limit = this.getQuantityLimit(input.dataset.index);
+      const inventoryMax = input.dataset.inventoryMax ? parseInt(input.dataset.inventoryMax) : null;
+      const max = limit ? Math.min(limit.max, inventoryMax === null ? Infinity : inventoryMax) : inventoryMax;
+
+      if (max === null) {
+        input.removeAttribute('max');
+        input.closest('quantity-input')?.querySelector(".quantity__button[name='plus']").classList.remove('disabled');
+      } else {
+        input.max = max;
+      }
+      input.closest('quantity-input')?.validateQtyRules();
+    });
+  }
+
+  /**
+   * Simula a alteração contra todas as regras do carrinho antes de enviá-la para cart/change.
+   * Se a alteração quebrar alguma regra, a quantidade volta ao valor anterior e o item
+   * mostra qual regra seria quebrada, oferecendo remover também os itens dependentes.
+   */
+  changeQuantity(line, quantity, event, name, variantId) {
+    this.clearRulesWarning(line);
+    if (!window.cartRulesValidator) return this.updateQuantity(line, quantity, event, name, variantId);
+
+    window.cartRulesValidator
+      .checkChange(line, quantity)
+      .then((violations) => {
+        if (violations.length === 0) return this.updateQuantity(line, quantity, event, name, variantId);
+
+        this.resetQuantityInput(line);
+        this.showRulesWarning(line, quantity, violations, event);
+      })
+      .catch((error) => {
+        window.cartRulesDebug.log('Erro ao simular a alteração do carrinho:', error);
+        this.updateQuantity(line, quantity, event, name, variantId);
+      });
+  }
+
+  getLineItemError(line) {
+    return (
+      document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`)
+    );
+  }
+
+  clearRulesWarning(line) {
+    const lineItemError = this.getLineItemError(line);
+    if (!lineItemError) return;
+
+    lineItemError.querySelector('.cart-rules-change')?.remove();
+    lineItemError.querySelector('.cart-item__error-text').textContent = '';
+  }
+
+  /**
+   * @param {number} line - Linha alterada
+   * @param {number} quantity - Quantidade pretendida
+   * @param {Array<Object>} violations - Regras que a alteração quebraria
+   * @param {Event} event
+   */
+  showRulesWarning(line, quantity, violations, event) {
+    const lineItemError = this.getLineItemError(line);
+    if (!lineItemError) return;
+
+    lineItemError.querySelector('.cart-item__error-text').textContent = violations
+      .map((violation) => window.cartRulesValidator.getMessage(violation, lineItemError))
+      .join(' ');
+
+    const cart = window.cartStore.cart;
+    const changedItem = cart.items[line - 1];
+    const dependents = cart.items.filter(
+      (item) =>
+        item.key !== changedItem.key && violations.some((violation) => violation.lineItems.includes(item.key))
+    );
+    const blocking = violations.some((violation) => violation.lineItems.length === 0);
+    if (dependents.length === 0 || blocking) return;
+
+    const actions = document.createElement('div');
+    actions.classList.add('cart-rules-change');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('link', 'cart-rules-change__remove');
+    button.textContent = window.cartStrings.removeDependents.replace(
+      '[items]',
+      dependents.map((item) => item.product_title).join(', ')
+    );
+    button.addEventListener('click', () => {
+      const updates = { [changedItem.key]: quantity };
+      dependents.forEach((item) => (updates[item.key] = 0));
+      this.clearRulesWarning(line);
+      this.updateQuantities(line, updates, event);
+    });
+    actions.appendChild(button);
+    lineItemError.appendChild(actions);
+  }
+
+  /**
+   * Altera vários itens de uma vez (cart/update), usado ao remover os itens dependentes
+   * @param {number} line - Linha que originou a alteração
+   * @param {Object} updates - Mapa key -> quantidade
+   * @param {Event} event
+   */
+  updateQuantities(line, updates, event) {
+    this.enableLoading(line);
+
+    const body = JSON.stringify({
+      updates,
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.errors || parsedState.status) {
+          this.updateLiveRegions(line, parsedState.errors || parsedState.description);
+          return;
+        }
+
+        this.classList.toggle('is-empty', parsedState.item_count === 0);
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const cartFooter = document.getElementById('main-cart-footer');
+        if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+        if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+        this.getSectionsToRender().forEach((section) => {
+          const elementToReplace =
+            document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+          elementToReplace.innerHTML = this.getSectionInnerHTML(
+            parsedState.sections[section.section],
+            section.selector
+          );
+        });
+        setTimeout(() => this.makeQuantityInputsReadOnly(), 100);
+
+        CartPerformance.measureFromEvent('clear:user-action', event);
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch(() => {
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        errors.textContent = window.cartStrings.error;
+      })
+      .finally(() => {
+        this.disableLoading(line);
+      });
+  }
+
   onChange(event) {
     this.validateQuantity(event);
   }
@@ -200,7 +370,8 @@ class CartItems extends HTMLElement {
       sections: this.getSectionsToRender().map((section) => section.section),
       sections_url: window.location.pathname,
     });
-    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+    const eventTarget =
+      event.currentTarget instanceof CartRemoveButton || event.target.closest?.('cart-remove-button') ? 'clear' : 'change';
 
     fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
       .then((response) => {
@@ -319,88 +490,6 @@ class CartItems extends HTMLElement {
     cartItemElements.forEach((overlay) => overlay.classList.add('hidden'));
     cartDrawerItemElements.forEach((overlay) => overlay.classList.add('hidden'));
   }
-  
-  /**
-   * Obtém o preço unitário do item a partir do input de quantidade
-   * @param {HTMLElement} quantityInput - O input de quantidade
-   * @return {number} - O preço unitário em centavos
-   */
-  getItemPrice(quantityInput) {
-    // Tenta obter o preço do data attribute
-    if (quantityInput.dataset.unitPrice) {
-      return parseInt(quantityInput.dataset.unitPrice, 10);
-    }
-    
-    // Tenta obter o preço do elemento pai (linha do item)
-    const cartItem = quantityInput.closest('.cart-item');
-    if (cartItem) {
-      // Procura pelo preço unitário no data attribute
-      if (cartItem.dataset.unitPrice) {
-        return parseInt(cartItem.dataset.unitPrice, 10);
-      }
-      
-      // Procura pelo preço no DOM
-      const priceElement = cartItem.querySelector('.price');
-      if (priceElement) {
-        // Extrai apenas os números do texto do preço
-        const priceText = priceElement.textContent;
-        const numericValue = priceText.replace(/[^0-9]/g, '');
-        return parseInt(numericValue, 10);
-      }
-    }
-    
-    // Fallback: tenta obter o preço do objeto Shopify.cart
-    if (window.Shopify && window.Shopify.cart) {
-      const lineItemId = quantityInput.dataset.index;
-      const lineItems = window.Shopify.cart.items;
-      if (lineItems && lineItems[lineItemId - 1]) {
-        return lineItems[lineItemId - 1].price;
-      }
-    }
-    
-    return 0; // Retorna 0 se não conseguir encontrar o preço
-  }
-  
-  /**
-   * Obtém a quantidade atual do item
-   * @param {HTMLElement} quantityInput - O input de quantidade
-   * @return {number} - A quantidade atual
-   */
-  getItemCurrentQuantity(quantityInput) {
-    // Obtém o valor atual do input antes da alteração
-    return parseInt(quantityInput.getAttribute('value') || '1', 10);
-  }
-  
-  /**
-   * Obtém o valor total do carrinho em centavos
-   * @return {number} - O valor total do carrinho em centavos
-   */
-  getCartTotal() {
-    // Tenta obter o valor do carrinho do objeto window.Shopify
-    if (window.Shopify && window.Shopify.cart) {
-      return window.Shopify.cart.total_price || 0;
-    }
-    
-    // Alternativa: buscar o valor do DOM usando data attributes
-    const cartTotalElements = document.querySelectorAll('[data-cart-total]');
-    if (cartTotalElements.length > 0) {
-      for (const element of cartTotalElements) {
-        const value = parseInt(element.getAttribute('data-cart-total') || '0');
-        if (value > 0) return value;
-      }
-    }
-    
-    // Alternativa: buscar o valor do DOM usando classes
-    const totalElements = document.querySelectorAll('.totals__total-value');
-    if (totalElements.length > 0) {
-      // Extrai apenas os números do texto do preço
-      const priceText = totalElements[0].textContent;
-      const numericValue = priceText.replace(/[^0-9]/g, '');
-      return parseInt(numericValue, 10) || 0;
-    }
-    
-    return 0;
-  }
 }
 
 customElements.define('cart-items', CartItems);
@@ -6,4 +6,5 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  cartValidation: 'cart-validation',
 };
@@ -307,6 +307,121 @@ function fetchConfig(type = 'json') {
   };
 }
 
+/**
+ * fetch com tempo limite e novas tentativas com espera exponencial (backoff, 2x backoff, 4x backoff...).
+ * Erros de rede, tempo esgotado e respostas 5xx são repetidos; respostas 4xx falham na hora.
+ * @param {string} url
+ * @param {Object} [options] - Opções do fetch
+ * @param {Object} [retryOptions] - { retries, timeout, backoff } em tentativas extras e milissegundos
+ * @returns {Promise<Response>} - Rejeita se a última tentativa falhar ou a resposta não for ok
+ */
+function fetchWithRetry(url, options = {}, { retries = 2, timeout = 8000, backoff = 500 } = {}) {
+  const attempt = (attemptNumber) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    return fetch(url, { ...options, signal: controller.signal })
+      .then((response) => {
+        if (response.ok) return response;
+
+        const error = new Error(`${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      })
+      .catch((error) => {
+        const retryable = !error.status || error.status >= 500;
+        if (!retryable || attemptNumber >= retries) throw error;
+
+        return new Promise((resolve) => setTimeout(resolve, backoff * 2 ** attemptNumber)).then(() =>
+          attempt(attemptNumber + 1)
+        );
+      })
+      .finally(() => clearTimeout(timer));
+  };
+
+  return attempt(0);
+}
+
+/**
+ * Separadores de cada placeholder do formato de moeda da loja: [casas decimais, milhar, decimal]
+ */
+const MONEY_FORMAT_PLACEHOLDERS = {
+  amount: [2, ',', '.'],
+  amount_no_decimals: [0, ',', '.'],
+  amount_with_comma_separator: [2, '.', ','],
+  amount_no_decimals_with_comma_separator: [0, '.', ','],
+  amount_with_apostrophe_separator: [2, "'", '.'],
+  amount_no_decimals_with_space_separator: [0, ' ', ','],
+  amount_with_space_separator: [2, ' ', ','],
+  amount_with_period_and_space_separator: [2, ' ', '.'],
+};
+
+/**
+ * @param {string} format - Formato de moeda, como "R$ {{amount_with_comma_separator}}"
+ * @returns {Array} - [casas decimais, milhar, decimal] do placeholder usado no formato
+ */
+function getMoneyFormatSeparators(format) {
+  const match = format.match(/\{\{\s*(\w+)\s*\}\}/);
+  return (match && MONEY_FORMAT_PLACEHOLDERS[match[1]]) || MONEY_FORMAT_PLACEHOLDERS.amount;
+}
+
+/**
+ * Formato de moeda padrão dos textos em JS, o mesmo do snippet price: shop.money_with_currency_format
+ * quando a configuração do tema "Mostrar códigos de moeda" (currency_code_enabled) está ativa
+ * @returns {string}
+ */
+function getDefaultMoneyFormat() {
+  const format = window.shopCurrencyCodeEnabled ? window.shopMoneyWithCurrencyFormat : window.shopMoneyFormat;
+  return format || window.shopMoneyFormat || '{{amount}}';
+}
+
+/**
+ * Equivalente em JS do filtro money do Liquid
+ * @param {number} cents - Centavos na moeda ativa do cliente (Shopify.currency.active)
+ * @param {string} [format] - Formato de moeda; por padrão o da loja (getDefaultMoneyFormat). Os formatos da loja só
+ *   valem para a moeda da loja: em outra moeda ativa, e sem format, o valor é formatado com Intl.NumberFormat
+ * @returns {string} - "R$ 1.234,56" para 123456 centavos em "R$ {{amount_with_comma_separator}}"
+ */
+function formatMoney(cents, format) {
+  const currency = window.Shopify && Shopify.currency && Shopify.currency.active;
+  if (!format && currency && window.shopCurrency && currency !== window.shopCurrency) {
+    const amount = new Intl.NumberFormat(document.documentElement.lang, { style: 'currency', currency }).format(
+      cents / 100
+    );
+    return window.shopCurrencyCodeEnabled ? `${amount} ${currency}` : amount;
+  }
+
+  const plainFormat = (format || getDefaultMoneyFormat()).replace(/<[^>]*>/g, '');
+  const [precision, thousands, decimal] = getMoneyFormatSeparators(plainFormat);
+  const [integer, fraction] = (Math.round(cents) / 100).toFixed(precision).split('.');
+
+  return plainFormat.replace(
+    /\{\{\s*(\w+)\s*\}\}/,
+    integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands) + (fraction ? decimal + fraction : '')
+  );
+}
+
+/**
+ * Lê de volta um valor formatado por formatMoney (ou pelo filtro money)
+ * @param {string} value - Texto com o preço, como "R$ 1.234,56"
+ * @param {string} [format] - Formato de moeda usado no texto; por padrão o de getDefaultMoneyFormat
+ * @returns {number|null} - Valor em centavos, ou null se o texto não tiver um número
+ */
+function parseMoney(value, format = getDefaultMoneyFormat()) {
+  const [, thousands, decimal] = getMoneyFormatSeparators(format.replace(/<[^>]*>/g, ''));
+  const match = String(value || '').match(/-?\d[\d\s.,']*/);
+  if (!match) return null;
+
+  const number = match[0]
+    .replace(/\s/g, ' ')
+    .trim()
+    .replace(/[ .,']+$/, '')
+    .split(thousands)
+    .join('')
+    .replace(decimal, '.');
+  return Math.round(parseFloat(number) * 100);
+}
+
 /*
  * Shopify Common JS
  *
@@ -1257,6 +1372,7 @@ class BulkAdd extends HTMLElement {
   validateQuantity(event) {
     const inputValue = parseInt(event.target.value);
     const index = event.target.dataset.index;
+    const limit = this.getQuantityLimit(event.target);
 
     if (inputValue < event.target.dataset.min) {
       this.setValidity(event, index, window.quickOrderListStrings.min_error.replace('[min]', event.target.dataset.min));
@@ -1264,6 +1380,15 @@ class BulkAdd extends HTMLElement {
       this.setValidity(event, index, window.quickOrderListStrings.max_error.replace('[max]', event.target.max));
     } else if (inputValue % parseInt(event.target.step) != 0) {
       this.setValidity(event, index, window.quickOrderListStrings.step_error.replace('[step]', event.target.step));
+    } else if (limit && inputValue > limit.max) {
+      // Ajusta a quantidade ao limite das regras do carrinho e informa o limite
+      event.target.value = limit.max;
+      event.target.setCustomValidity(limit.message);
+      event.target.reportValidity();
+      if (limit.max !== parseInt(event.target.getAttribute('value'))) {
+        event.target.setAttribute('value', limit.max);
+        this.startQueue(index, limit.max);
+      }
     } else {
       event.target.setCustomValidity('');
       event.target.reportValidity();
@@ -1272,6 +1397,32 @@ class BulkAdd extends HTMLElement {
     }
   }
 
+  /**
+   * Limite das regras max_quantity para o produto do input. A quantidade da própria
+   * variante no carrinho não conta, já que o input define a quantidade total dela.
+   * @param {HTMLInputElement} input - Input com data-product-id e data-index (id da variante)
+   * @returns {Object|null} - { max, rule, message }
+   */
+  getQuantityLimit(input) {
+    if (!window.cartRulesValidator || !input.dataset.productId) return null;
+
+    const items = (window.cartStore.cart && window.cartStore.cart.items) || [];
+    const variantKeys = items.filter((item) => item.id === parseInt(input.dataset.index)).map((item) => item.key);
+    return window.cartRulesValidator.getQuantityLimit(input.dataset.productId, variantKeys);
+  }
+
+  /**
+   * Quantidade de uma variante no carrinho compartilhado (cartStore)
+   * @param {string|number} variantId
+   * @returns {number}
+   */
+  getCartQuantity(variantId) {
+    const items = (window.cartStore.cart && window.cartStore.cart.items) || [];
+    return items
+      .filter((item) => item.id === parseInt(variantId))
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+
   getSectionInnerHTML(html, selector) {
     return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
   }
@@ -15,6 +15,11 @@ if (!customElements.get('product-form')) {
         if (document.querySelector('cart-drawer')) this.submitButton.setAttribute('aria-haspopup', 'dialog');
 
         this.hideErrors = this.dataset.hideErrors === 'true';
+
+        this.cartRulesWarning = this.querySelector('.cart-rules-warning');
+        this.cartRulesWarning
+          ?.querySelector('.cart-rules-warning__add-anyway')
+          .addEventListener('click', this.onAddAnyway.bind(this));
       }
 
       onSubmitHandler(evt) {
@@ -22,11 +27,28 @@ if (!customElements.get('product-form')) {
         if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
 
         this.handleErrorMessage();
+        this.toggleCartRulesWarning();
 
+        // O botão fica ocupado já durante a verificação das regras, para um segundo clique não adicionar de novo
         this.submitButton.setAttribute('aria-disabled', true);
         this.submitButton.classList.add('loading');
         this.querySelector('.loading__spinner').classList.remove('hidden');
 
+        const addAnyway = this.cartRulesAddAnyway;
+        this.cartRulesAddAnyway = false;
+        Promise.resolve(addAnyway ? this.checkCartRulesQuantity() : this.checkCartRules()).then((canAdd) => {
+          if (canAdd) {
+            this.addToCart(evt);
+            return;
+          }
+
+          this.submitButton.classList.remove('loading');
+          if (!this.error) this.submitButton.removeAttribute('aria-disabled');
+          this.querySelector('.loading__spinner').classList.add('hidden');
+        });
+      }
+
+      addToCart(evt) {
         const config = fetchConfig('javascript');
         config.headers['X-Requested-With'] = 'XMLHttpRequest';
         delete config.headers['Content-Type'];
@@ -109,6 +131,83 @@ if (!customElements.get('product-form')) {
           });
       }
 
+      /**
+       * Verifica, antes de adicionar, a confirmação de idade, o limite de quantidade
+       * e se o produto quebraria uma regra de categoria do carrinho
+       * @returns {Promise<boolean>} - true se o produto pode ser adicionado sem aviso
+       */
+      checkCartRules() {
+        if (!window.cartRulesValidator || !this.dataset.productId) return Promise.resolve(true);
+
+        const ageConfirmation = window.ageGate
+          ? window.ageGate.confirmFor(this.dataset.productId, this.submitButton)
+          : Promise.resolve(true);
+
+        return ageConfirmation.then((confirmed) => confirmed && this.checkCartRulesLimits());
+      }
+
+      /**
+       * @returns {boolean|Promise<boolean>} - true se o produto pode ser adicionado sem aviso
+       */
+      checkCartRulesLimits() {
+        if (!this.checkCartRulesQuantity()) return false;
+
+        const quantity = parseInt(new FormData(this.form).get('quantity')) || 1;
+        if (!this.cartRulesWarning) return true;
+        return window.cartRulesValidator
+          .checkAddition(this.dataset.productId, quantity)
+          .then((violations) => {
+            this.toggleCartRulesWarning(violations[0]);
+            return violations.length === 0;
+          })
+          .catch((e) => {
+            window.cartRulesDebug.log('Erro ao verificar as regras do carrinho para o produto:', e);
+            return true;
+          });
+      }
+
+      /**
+       * Limite de quantidade (max_quantity) para a quantidade atual do formulário
+       * @returns {boolean} - true se a quantidade cabe no limite
+       */
+      checkCartRulesQuantity() {
+        if (!window.cartRulesValidator || !this.dataset.productId) return true;
+
+        const quantity = parseInt(new FormData(this.form).get('quantity')) || 1;
+        const limit = window.cartRulesValidator.getQuantityLimit(this.dataset.productId);
+        if (!limit || quantity <= limit.max) return true;
+
+        const quantityInput = this.form.elements.quantity;
+        if (quantityInput && limit.max > 0) {
+          quantityInput.value = limit.max;
+          publish(PUB_SUB_EVENTS.quantityUpdate, undefined);
+        }
+        this.handleErrorMessage(limit.message);
+        return false;
+      }
+
+      toggleCartRulesWarning(violation) {
+        if (!this.cartRulesWarning) return;
+
+        this.cartRulesWarning.toggleAttribute('hidden', !violation);
+        if (!violation) return;
+
+        const engine = window.cartRulesValidator.engine;
+        const rule = engine.getRule(violation.ruleId);
+        this.cartRulesWarning.querySelector('.cart-rules-warning__message').textContent = window.cartRulesValidator.getMessage(violation, this);
+        this.cartRulesWarning.querySelector('.cart-rules-warning__link').href = `${routes.collections_url}/${engine.getCompanionCategories(rule)[0]}`;
+      }
+
+      /**
+       * Ignora o aviso de regra de categoria, mas ainda confere o limite de quantidade com a
+       * quantidade atual do formulário, que pode ter mudado depois do aviso
+       */
+      onAddAnyway() {
+        this.cartRulesAddAnyway = true;
+        this.toggleCartRulesWarning();
+        this.form.requestSubmit();
+      }
+
       handleErrorMessage(errorMessage = false) {
         if (this.hideErrors) return;
 
@@ -319,7 +319,12 @@ if (!customElements.get('product-info')) {
         };
 
         let min = data.min;
-        const max = data.max === null ? data.max : data.max - data.cartQuantity;
+        let max = data.max === null ? data.max : data.max - data.cartQuantity;
+
+        // Limite das regras max_quantity do carrinho (já desconta o que está no carrinho)
+        const limit = window.cartRulesValidator?.getQuantityLimit(this.dataset.productId);
+        if (limit) max = max === null ? limit.max : Math.min(max, limit.max);
+
         if (max !== null) min = Math.min(min, max);
         if (data.cartQuantity >= data.min) min = Math.min(min, data.step);
 
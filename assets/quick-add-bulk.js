@@ -22,18 +22,20 @@ if (!customElements.get('quick-add-bulk')) {
 
       connectedCallback() {
         this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-          if (
-            event.source === 'quick-add' ||
-            (event.cartData.items && !event.cartData.items.some((item) => item.id === parseInt(this.dataset.index))) ||
-            (event.cartData.variant_id && !(event.cartData.variant_id === parseInt(this.dataset.index)))
-          ) {
-            return;
-          }
-          // If its another section that made the update
-          this.onCartUpdate().then(() => {
-            this.listenForActiveInput();
-            this.listenForKeydown();
-          });
+          if (event.source === 'quick-add') return;
+
+          // If its another section that made the update and this variant's quantity changed
+          return window.cartStore
+            .load()
+            .then(() => {
+              if (this.getCartQuantity(this.dataset.index) === this.renderedQuantity) return;
+
+              return this.onCartUpdate().then(() => {
+                this.listenForActiveInput();
+                this.listenForKeydown();
+              });
+            })
+            .catch((error) => window.cartRulesDebug.log('Erro ao atualizar a adição rápida em massa:', error));
         });
       }
 
@@ -47,6 +49,10 @@ if (!customElements.get('quick-add-bulk')) {
         return this.querySelector('quantity-input input');
       }
 
+      get renderedQuantity() {
+        return this.input ? parseInt(this.input.getAttribute('value')) || 0 : 0;
+      }
+
       selectProgressBar() {
         return this.querySelector('.progress-bar-container');
       }
@@ -0,0 +1,67 @@
+/**
+ * Testes de assets/cart-rules-core.js com os carrinhos de tests/fixtures/carts
+ *
+ * Sem dependências: node --test tests/
+ *
+ * Cada fixture ativa algumas regras de tests/fixtures/rules.json pelo id e lista as violações
+ * esperadas, na ordem das regras. Só as propriedades presentes na fixture são comparadas.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { CartRulesEngine, evaluateCart } = require('../assets/cart-rules-core.js');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const rules = readJson(path.join(fixtures, 'rules.json'));
+const productMeta = readJson(path.join(fixtures, 'products.json'));
+
+fs.readdirSync(path.join(fixtures, 'carts'))
+  .filter((file) => file.endsWith('.json'))
+  .forEach((file) => {
+    const fixture = readJson(path.join(fixtures, 'carts', file));
+
+    test(`${file}: ${fixture.description}`, () => {
+      const activeRules = fixture.rules.map((id) => {
+        const rule = rules.find((rule) => rule.id === id);
+        assert.ok(rule, `regra desconhecida: ${id}`);
+        return rule;
+      });
+      const now = fixture.now ? new Date(fixture.now) : new Date();
+      const violations = evaluateCart(fixture.cart, productMeta, activeRules, now);
+
+      assert.deepEqual(
+        violations.map(({ ruleId }) => ruleId),
+        fixture.violations.map(({ ruleId }) => ruleId)
+      );
+      fixture.violations.forEach((expected, index) => {
+        Object.entries(expected).forEach(([key, value]) => {
+          assert.deepEqual(violations[index][key], value, `${expected.ruleId}.${key}`);
+        });
+      });
+    });
+  });
+
+test('datas de entrega não dependem do fuso do navegador', () => {
+  const rule = rules.find(({ id }) => id === 'delivery-slot');
+  const engine = new CartRulesEngine([rule]);
+  const now = new Date('2026-10-19T17:00:00-03:00');
+  const timezone = process.env.TZ;
+
+  const datesIn = (zone) => {
+    process.env.TZ = zone;
+    return engine.getDeliveryDates(rule, now);
+  };
+
+  try {
+    assert.deepEqual(datesIn('Asia/Tokyo'), datesIn('America/Sao_Paulo'));
+    assert.equal(datesIn('UTC')[0].date, '2026-10-19');
+  } finally {
+    if (timezone === undefined) delete process.env.TZ;
+    else process.env.TZ = timezone;
+  }
+});
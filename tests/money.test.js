@@ -0,0 +1,97 @@
+/**
+ * Testes de formatMoney e parseMoney (assets/global.js)
+ *
+ * Sem dependências: node --test tests/
+ *
+ * global.js é um script do navegador; ele roda num contexto vm com o mínimo de DOM para
+ * definir as funções no escopo global do contexto.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { test } = require('node:test');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'assets', 'global.js'), 'utf8');
+
+/**
+ * @param {Object} globals - Variáveis de window usadas pelos helpers (shopMoneyFormat, Shopify...)
+ * @returns {Object} - Contexto com formatMoney e parseMoney
+ */
+function loadGlobal(globals = {}) {
+  const context = {
+    HTMLElement: class {},
+    customElements: { define() {}, get() {} },
+    document: {
+      documentElement: { lang: 'pt-BR' },
+      querySelector: () => null,
+      querySelectorAll: () => [],
+    },
+    Intl,
+    ...globals,
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(source, context);
+  return context;
+}
+
+test('formatMoney usa os separadores de cada placeholder', () => {
+  const { formatMoney } = loadGlobal();
+
+  assert.equal(formatMoney(123456, 'R$ {{amount_with_comma_separator}}'), 'R$ 1.234,56');
+  assert.equal(formatMoney(123456, '${{amount}}'), '$1,234.56');
+  assert.equal(formatMoney(123456, '${{amount_no_decimals}}'), '$1,235');
+  assert.equal(formatMoney(123456, '{{amount_no_decimals_with_comma_separator}} kr'), '1.235 kr');
+  assert.equal(formatMoney(123456, '<span>€{{ amount_with_space_separator }}</span>'), '€1 234,56');
+});
+
+test('formatMoney usa o formato com código de moeda quando currency_code_enabled está ativo', () => {
+  const globals = {
+    shopMoneyFormat: 'R$ {{amount_with_comma_separator}}',
+    shopMoneyWithCurrencyFormat: 'R$ {{amount_with_comma_separator}} BRL',
+    shopCurrency: 'BRL',
+    Shopify: { currency: { active: 'BRL', rate: '1.0' } },
+  };
+
+  assert.equal(loadGlobal(globals).formatMoney(9000), 'R$ 90,00');
+  assert.equal(loadGlobal({ ...globals, shopCurrencyCodeEnabled: true }).formatMoney(9000), 'R$ 90,00 BRL');
+});
+
+test('formatMoney formata na moeda ativa quando ela não é a da loja', () => {
+  const { formatMoney } = loadGlobal({
+    shopMoneyFormat: 'R$ {{amount_with_comma_separator}}',
+    shopCurrency: 'BRL',
+    Shopify: { currency: { active: 'USD', rate: '0.2' } },
+  });
+
+  assert.match(formatMoney(123456), /US\$\s?1\.234,56/);
+});
+
+test('parseMoney lê valores com separador decimal vírgula ou ponto', () => {
+  const { parseMoney } = loadGlobal();
+
+  assert.equal(parseMoney('R$ 1.234,56', 'R$ {{amount_with_comma_separator}}'), 123456);
+  assert.equal(parseMoney('R$ 1.234,56 BRL', 'R$ {{amount_with_comma_separator}} BRL'), 123456);
+  assert.equal(parseMoney('$1,234.56 USD', '${{amount}} USD'), 123456);
+  assert.equal(parseMoney("CHF 1'234.56", "CHF {{amount_with_apostrophe_separator}}"), 123456);
+  assert.equal(parseMoney('1 234,56 €', '{{amount_with_space_separator}} €'), 123456);
+  assert.equal(parseMoney('Rs. 1,234.50', 'Rs. {{amount}}'), 123450);
+});
+
+test('parseMoney lê valores sem casas decimais', () => {
+  const { parseMoney } = loadGlobal();
+
+  assert.equal(parseMoney('$1,235', '${{amount_no_decimals}}'), 123500);
+  assert.equal(parseMoney('1.235 kr', '{{amount_no_decimals_with_comma_separator}} kr'), 123500);
+  assert.equal(parseMoney('¥12,000', '¥{{amount_no_decimals}}'), 1200000);
+});
+
+test('parseMoney devolve null sem número e desfaz formatMoney', () => {
+  const { formatMoney, parseMoney } = loadGlobal({ shopMoneyFormat: 'R$ {{amount_with_comma_separator}}' });
+
+  assert.equal(parseMoney('Grátis'), null);
+  assert.equal(parseMoney(''), null);
+  [0, 5, 9000, 123456, 100000000].forEach((cents) => assert.equal(parseMoney(formatMoney(cents)), cents));
+});